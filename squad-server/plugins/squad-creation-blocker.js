@@ -1,5 +1,197 @@
+import fs from 'fs';
+import Sequelize from 'sequelize';
+
 import BasePlugin from './base-plugin.js';
 
+const { DataTypes, Op } = Sequelize;
+
+const HOMOGLYPHS = {
+  а: 'a', в: 'b', е: 'e', ё: 'e', к: 'k', м: 'm', н: 'h', о: 'o', р: 'p', с: 'c', т: 't', у: 'y', х: 'x',
+  і: 'i', ї: 'i', ј: 'j', ѕ: 's', ԁ: 'd', ɡ: 'g',
+  α: 'a', β: 'b', ε: 'e', η: 'n', ι: 'i', κ: 'k', μ: 'u', ν: 'v', ο: 'o', ρ: 'p', τ: 't', υ: 'u', χ: 'x'
+};
+
+const LEETSPEAK = {
+  0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b',
+  '@': 'a', $: 's', '!': 'i', '|': 'l'
+};
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const PLURAL_FORM = /^(zero|one|two|few|many|other):(.*)$/s;
+
+// Lower values are sent first when RCON output is throttled
+const RCON_PRIORITIES = { disband: 0, kick: 1, warn: 2, reminder: 3 };
+
+// Cooldown reminders that waited longer than this in the RCON queue are out of date and dropped
+const REMINDER_MAX_DELAY = 1000;
+
+// Player-facing text. "{name}" is replaced with a value. "{name|one|other}" or "{name|one:…|few:…|other:…}" picks a word by the
+// plural category of the value in the message's locale.
+const DEFAULT_MESSAGES = {
+  unlocked: 'Custom squad creation is now unlocked!',
+  countdown: 'Custom squad names unlocks in {timeLeft}s. Default names (e.g. "Squad 1") are allowed. Spammers get {cooldown}s cooldown.',
+  countdownFinal: 'Custom squad names unlock in {timeLeft}...',
+  blockedAtRoundEnd: 'You are not allowed to create a custom squad at the end of a round.',
+  blockedDuringWindow: 'Please wait for {timeLeft} {timeLeft|second|seconds} before creating a custom squad. Default names (e.g. "Squad 1") are allowed.',
+  blockedDuringWarmup: 'Custom squads are not allowed until the match starts.',
+  blockedDuringPhase: 'Custom squads are not allowed right now.',
+  spamWarning: 'Warning: Stop spamming squad creation! {remaining} more {remaining|attempt|attempts} before cooldown.',
+  cooldownStarted: 'You are on cooldown for {cooldown}s due to squad creation spam. Stop spamming or you will be kicked!',
+  cooldownReminder: 'Squad creation cooldown: {timeLeft} {timeLeft|second|seconds} remaining.',
+  cooldownExpired: 'Squad creation cooldown has expired.',
+  kickReason: 'Excessive squad creation spam',
+  banReason: 'Repeated squad creation spam',
+  nameFilterKickReason: 'Inappropriate squad name',
+  nameNotAllowed: 'The squad name "{squadName}" is not allowed on this server.',
+  tagRequired: 'Squad names must start with a role tag: {tags}.',
+  tagQuotaReached: 'Your team already has {count} {tag} {count|squad|squads}. The limit is {limit} per team.',
+  duplicateName: 'Your team already has a squad named "{existingName}". Please choose a different name.',
+  anotherPlayer: 'another player',
+  reserveOutsideWindow: 'Squad names can only be reserved while custom squad creation is blocked.',
+  reserveUsage: 'Usage: !{command} <squad name>',
+  reserveDefaultName: 'Default squad names cannot be reserved.',
+  reserveInvalidName: 'That squad name cannot be reserved.',
+  reserveTaken: '"{squadName}" is already reserved by {owner}.',
+  reserveLimitReached: 'Your team has no squad name reservations left.',
+  reserved: 'Reserved "{squadName}" (#{position} on your team). You will be told when you can create it.',
+  reservationReady: 'Custom squads are unlocked. "{squadName}" is reserved for you for {timeLeft}s - create it now!',
+  reservationHeld: '"{squadName}" is reserved for {owner} for {timeLeft} more {timeLeft|second|seconds}.',
+  statusUnlocked: 'Custom squad creation is unlocked.',
+  statusRoundEnd: 'Custom squad creation is blocked until the next game starts.',
+  statusBlocked: 'Custom squad creation is blocked for {timeLeft} more {timeLeft|second|seconds}.',
+  statusPhaseBlocked: 'Custom squad creation is currently blocked.',
+  policyDefaultNames: 'Default names (e.g. "Squad 1") are always allowed.',
+  policyWhitelist: 'Also always allowed: {names}.',
+  policyWhitelistMore: 'Also always allowed: {names} and {more} more.',
+  cooldownActive: 'You are on cooldown for {timeLeft} more {timeLeft|second|seconds}.',
+  cooldownInactive: 'You are not on cooldown.',
+  attemptSummary: 'Blocked attempts: {attempts} (cooldown after {warningThreshold}).',
+  attemptSummaryWithKick: 'Blocked attempts: {attempts} (cooldown after {warningThreshold}, kick at {kickThreshold}).',
+  rulesBlockWindow: 'Custom squads are blocked for {blockDuration}s after a game starts and from round end until the next game.',
+  rulesRoundEnd: 'Custom squads are blocked from round end until the next game.',
+  rulesRateLimit: 'More than {warningThreshold} blocked attempts earns a {cooldown}s cooldown.',
+  rulesKick: 'Spamming {kickThreshold} times gets you kicked.'
+};
+
+// Constraints on top of the type implied by each option's default
+const OPTION_RULES = {
+  blockDuration: { min: 0 },
+  countdownOffsets: { items: 'number' },
+  countdownInterval: { min: 0 },
+  finalCountdown: { integer: true, min: 0, max: 10 },
+  countdownRecipients: { enum: ['all', 'attempted'] },
+  rateLimitingScope: { enum: ['blockingPeriodOnly', 'entireMatch'] },
+  warningThreshold: { integer: true, min: 0 },
+  cooldownDuration: { min: 0 },
+  kickThreshold: { integer: true, min: 0 },
+  disbandRetries: { integer: true, min: 0 },
+  disbandRetryDelay: { min: 0 },
+  rateLimitMode: { enum: ['counter', 'slidingWindow', 'tokenBucket'] },
+  rateLimitWindow: { positive: true },
+  tokenRefillInterval: { positive: true },
+  kickWindow: { min: 0 },
+  pollInterval: { min: 0.5 },
+  idlePollInterval: { min: 0 },
+  fastPollDuration: { min: 0 },
+  cooldownWarningInterval: { positive: true },
+  squadWhitelist: { items: 'string' },
+  exemptions: { items: 'object' },
+  adminCommand: { pattern: /^\S*$/ },
+  reserveCommand: { pattern: /^\S+$/ },
+  reservationGracePeriod: { min: 0 },
+  maxReservationsPerTeam: { integer: true, min: 0 },
+  playerCommandCooldown: { min: 0 },
+  rconCommandsPerSecond: { min: 0 },
+  warnCoalesceWindow: { min: 0 },
+  offenderHistoryLookback: { positive: true },
+  repeatOffenderThresholdStep: { integer: true, min: 0 },
+  repeatOffenderCooldownMultiplier: { min: 1 },
+  repeatOffenderBanThreshold: { integer: true, min: 0 },
+  repeatOffenderBanDuration: { pattern: /^\d+[a-zA-Z]?$/ },
+  trustedPlayerLevel: { min: 0 },
+  trustPerCleanMatch: { min: 0 },
+  trustPerHourPlayed: { min: 0 },
+  trustViolationPenalty: { min: 0 },
+  trustMinimumMatchTime: { min: 0 },
+  channelID: { pattern: /^\d*$/ },
+  color: { integer: true, min: 0, max: 0xffffff },
+  nameFilterRules: { items: 'object' },
+  layerProfiles: { items: 'object' },
+  squadTags: { items: 'object' },
+  repeatableSquadNames: { items: 'string' },
+  dormantBelowPlayerCount: { integer: true, min: 0 },
+  lightProfileBelowPlayerCount: { integer: true, min: 0 },
+  playerCountHysteresis: { integer: true, min: 0 },
+  playerCountCheckInterval: { positive: true },
+  scheduledWindows: { items: 'object' },
+  matchLength: { min: 0 },
+  locale: { pattern: /^\S+$/ }
+};
+
+const TYPE_NAMES = { number: 'a number', string: 'a string', boolean: 'a boolean', array: 'an array', object: 'an object' };
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Fields allowed in the entries of list options. "regex", "namePatterns" and "cron" are strings that must also compile.
+const ITEM_FIELDS = {
+  nameFilterRules: { pattern: 'regex', keywords: 'strings', action: 'string', message: 'string' },
+  exemptions: { names: 'namePatterns', playerIDs: 'strings', permissions: 'strings' },
+  squadTags: { tag: 'string', pattern: 'regex', maxPerTeam: 'number' },
+  scheduledWindows: { name: 'string', duration: 'number', after: 'number', beforeEnd: 'number', cron: 'cron' }
+};
+
+const NAME_FILTER_ACTIONS = ['disband', 'warn', 'rateLimit', 'kick'];
+
+// Options that only take effect from the SquadJS config, never from the reloadable options file
+const FIXED_OPTIONS = ['optionsFile', 'watchOptionsFile', 'database', 'discordClient'];
+
+// warmup: mounted or between rounds, waiting for NEW_GAME; blocked: the block window; live: the rest of the match;
+// roundEnding: from ROUND_ENDED; dormant: too few players. Unset policy fields fall back to the rate limit and default name options.
+const PHASES = ['warmup', 'blocked', 'live', 'roundEnding', 'dormant'];
+
+const DEFAULT_PHASE_POLICIES = {
+  warmup: { blockCustomNames: false, polling: true, message: 'blockedDuringWarmup' },
+  blocked: { blockCustomNames: true, polling: true, message: 'blockedDuringWindow' },
+  live: { blockCustomNames: false, polling: true, message: 'blockedDuringPhase' },
+  roundEnding: { blockCustomNames: true, polling: true, message: 'blockedAtRoundEnd', duration: 0 },
+  dormant: { blockCustomNames: false, blockDefaultNames: false, rateLimit: false, polling: false, message: '' }
+};
+
+const PHASE_POLICY_TYPES = {
+  blockCustomNames: 'boolean',
+  blockDefaultNames: 'boolean',
+  rateLimit: 'boolean',
+  polling: 'boolean',
+  message: 'string',
+  duration: 'number'
+};
+
+const CRON_FIELD_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+const PROFILE_OPTIONS = [
+  'blockDuration',
+  'broadcastMode',
+  'allowDefaultSquadNames',
+  'enableRateLimiting',
+  'rateLimitingScope',
+  'warningThreshold',
+  'cooldownDuration',
+  'kickThreshold',
+  'cooldownWarningInterval',
+  'resetOnAttempt',
+  'rateLimitMode',
+  'rateLimitWindow',
+  'tokenRefillInterval',
+  'kickWindow'
+];
+
 export default class SquadCreationBlocker extends BasePlugin {
   static get description() {
     return 'The <code>SquadCreationBlocker</code> plugin prevents squads with custom names from being created within a specified time after a new game starts and at the end of a round. It includes anti-spam rate limiting with configurable warnings, cooldowns, kick functionality, and optional cooldown reset behavior to prevent players from overwhelming the system.';
@@ -11,6 +203,11 @@ export default class SquadCreationBlocker extends BasePlugin {
 
   static get optionsSpecification() {
     return {
+      strictOptionValidation: {
+        required: false,
+        description: 'If true, invalid options make the plugin fail to mount. If false, they are replaced with their defaults and a warning is logged.',
+        default: true
+      },
       blockDuration: {
         required: false,
         description: 'Time period after a new game starts during which custom squad creation is blocked (in seconds).',
@@ -21,6 +218,27 @@ export default class SquadCreationBlocker extends BasePlugin {
         description: 'If true, uses countdown broadcasts. If false, sends individual warnings to players.',
         default: false
       },
+      countdownOffsets: {
+        required: false,
+        description: 'Seconds before unlock at which a countdown message is sent in broadcast mode, in addition to countdownInterval.',
+        default: [],
+        example: [60, 30, 15]
+      },
+      countdownInterval: {
+        required: false,
+        description: 'In broadcast mode, a countdown message is sent whenever the remaining time is a multiple of this many seconds (0 = disabled).',
+        default: 10
+      },
+      finalCountdown: {
+        required: false,
+        description: 'In broadcast mode, a countdown message is sent every second for this many final seconds, e.g. 3 for "3, 2, 1".',
+        default: 0
+      },
+      countdownRecipients: {
+        required: false,
+        description: 'Who receives the countdown in broadcast mode: "all" broadcasts it, "attempted" warns only players whose custom squad was blocked during the window.',
+        default: 'all'
+      },
       allowDefaultSquadNames: {
         required: false,
         description: 'If true, allows creation of squads with default names (e.g., "Squad 1") during the blocking period.',
@@ -36,6 +254,11 @@ export default class SquadCreationBlocker extends BasePlugin {
         description: 'When to apply rate limiting: "blockingPeriodOnly" or "entireMatch".',
         default: 'blockingPeriodOnly'
       },
+      phasePolicies: {
+        required: false,
+        description: 'Per-phase policy overrides keyed by phase ("warmup", "blocked", "live", "roundEnding", "dormant"). Each may set blockCustomNames, blockDefaultNames, rateLimit, polling and message (a message template key, "" for none); roundEnding may also set duration (seconds, 0 = until the next game). The dormant policy is fixed.',
+        default: {}
+      },
       warningThreshold: {
         required: false,
         description: 'Number of attempts before issuing warnings to the player.',
@@ -51,11 +274,56 @@ export default class SquadCreationBlocker extends BasePlugin {
         description: 'Number of attempts before kicking the player (0 to disable).',
         default: 20
       },
+      verifyDisbands: {
+        required: false,
+        description: 'If true, every disband is verified with a follow-up squad list and retried if the squad survived.',
+        default: true
+      },
+      disbandRetries: {
+        required: false,
+        description: 'Number of times a failed disband is retried before giving up.',
+        default: 2
+      },
+      disbandRetryDelay: {
+        required: false,
+        description: 'Delay in seconds before the first disband retry. The delay doubles with every further retry.',
+        default: 1
+      },
+      rateLimitMode: {
+        required: false,
+        description: 'How attempts are counted toward the warning threshold: "counter" (every attempt since the last reset), "slidingWindow" (attempts within rateLimitWindow) or "tokenBucket" (warningThreshold tokens that refill over time).',
+        default: 'counter'
+      },
+      rateLimitWindow: {
+        required: false,
+        description: 'Length in seconds of the window used by the "slidingWindow" rate limit mode.',
+        default: 60
+      },
+      tokenRefillInterval: {
+        required: false,
+        description: 'Seconds it takes to refill one token in the "tokenBucket" rate limit mode.',
+        default: 20
+      },
+      kickWindow: {
+        required: false,
+        description: 'If greater than 0, only attempts within this many seconds count toward the kick threshold. If 0, every attempt since the last reset counts.',
+        default: 0
+      },
       pollInterval: {
         required: false,
-        description: 'Interval in seconds for periodic squad checking.',
+        description: 'Interval in seconds for periodic squad checking while squads need close watching (block window, cooldowns, right after squads are created).',
         default: 1
       },
+      idlePollInterval: {
+        required: false,
+        description: 'Interval in seconds for periodic squad checking at other times, when name rules still need it (0 = pause polling).',
+        default: 5
+      },
+      fastPollDuration: {
+        required: false,
+        description: 'Seconds polling stays at pollInterval after a SQUAD_CREATED event.',
+        default: 10
+      },
       cooldownWarningInterval: {
         required: false,
         description: 'Interval in seconds for warning players about remaining cooldown time.',
@@ -68,168 +336,2304 @@ export default class SquadCreationBlocker extends BasePlugin {
       },
       squadWhitelist: {
         required: false,
-        description: 'Array of squad names that are always allowed, even during blocking periods. Names are matched case-insensitively.',
+        description: 'Array of squad names that are always allowed, even during blocking periods. Names are matched case-insensitively and may be globs ("LOGI*") or regexes ("/^cmd\\b/").',
+        default: []
+      },
+      exemptions: {
+        required: false,
+        description: 'Rules that exempt squads from blocking based on who creates them. Each rule may list "names" (exact, glob or regex), "playerIDs" (EOS/Steam IDs) and "permissions" (SquadJS admin permissions). Every criterion a rule lists must match, so a rule with names and players only exempts those names for those players.',
+        default: [],
+        example: [
+          { permissions: ['canseeadminchat'] },
+          { names: ['CMD'], playerIDs: ['76561198000000001'] }
+        ]
+      },
+      adminCommand: {
+        required: false,
+        description: 'Chat command (without the "!") that lets admins control the block window, e.g. "!squadblock extend 30". Set to an empty string to disable.',
+        default: 'squadblock'
+      },
+      optionsFile: {
+        required: false,
+        description: 'JSON file with option overrides that can be reloaded at runtime with "!squadblock reload". Empty string = disabled.',
+        default: ''
+      },
+      watchOptionsFile: {
+        required: false,
+        description: 'If true, optionsFile is reloaded automatically whenever it changes.',
+        default: true
+      },
+      enableReservations: {
+        required: false,
+        description: 'If true, players can reserve a custom squad name during the block window with the reserve command. Reserved names are protected from other players for reservationGracePeriod seconds after unlock.',
+        default: false
+      },
+      reserveCommand: {
+        required: false,
+        description: 'Chat command (without the "!") players use to reserve a squad name, e.g. "!reserve ARMOR 1".',
+        default: 'reserve'
+      },
+      reservationGracePeriod: {
+        required: false,
+        description: 'Seconds after unlock during which a reserved squad name can only be used by the player who reserved it.',
+        default: 30
+      },
+      maxReservationsPerTeam: {
+        required: false,
+        description: 'Maximum number of squad name reservations per team (0 for no limit).',
+        default: 10
+      },
+      enablePlayerCommands: {
+        required: false,
+        description: 'If true, players can use !squadrules, !cooldown and !unlock to see the rules, their cooldown and the remaining block time.',
+        default: true
+      },
+      playerCommandCooldown: {
+        required: false,
+        description: 'Seconds a player has to wait between player commands, including !reserve. Commands sent sooner are ignored.',
+        default: 10
+      },
+      rconCommandsPerSecond: {
+        required: false,
+        description: 'Maximum RCON commands per second sent by this plugin. Disbands go first, then kicks, warns and reminders (0 = no limit).',
+        default: 10
+      },
+      warnCoalesceWindow: {
+        required: false,
+        description: 'Seconds during which an identical warn to the same player is only sent once.',
+        default: 3
+      },
+      dryRun: {
+        required: false,
+        description: 'If true, every decision is made as normal but disbands, kicks, bans, warnings and broadcasts are only recorded to the verbose log and a per-match report instead of being sent to the server.',
+        default: false
+      },
+      dryRunReportFile: {
+        required: false,
+        description: 'Path of a JSON file the dry run report is written to at the end of each round. Leave empty to only keep the report in memory.',
+        default: ''
+      },
+      statisticsFile: {
+        required: false,
+        description: 'Path of a file each match\'s enforcement statistics are appended to as a JSON line at round end. Leave empty to only log them.',
+        default: ''
+      },
+      enableOffenderHistory: {
+        required: false,
+        description: 'If true, squad creation attempts, cooldowns and kicks are stored in the database so repeat offenders escalate across matches and restarts.',
+        default: false
+      },
+      database: {
+        required: false,
+        description: 'Name of the Sequelize connector (from the SquadJS "connectors" config) used to store offender history and trust. Leave empty if neither is enabled.',
+        default: ''
+      },
+      offenderHistoryLookback: {
+        required: false,
+        description: 'Number of days of offender history considered when escalating penalties.',
+        default: 7
+      },
+      repeatOffenderThresholdStep: {
+        required: false,
+        description: 'How many attempts the warning and kick thresholds are lowered by for each previous kick or ban within the lookback window.',
+        default: 1
+      },
+      repeatOffenderCooldownMultiplier: {
+        required: false,
+        description: 'Factor the cooldown duration is multiplied by for each previous kick or ban within the lookback window.',
+        default: 2
+      },
+      repeatOffenderBanThreshold: {
+        required: false,
+        description: 'Number of previous kicks and bans within the lookback window after which the player is banned instead of kicked (0 to disable).',
+        default: 3
+      },
+      repeatOffenderBanDuration: {
+        required: false,
+        description: 'Length of the ban issued to repeat offenders, in AdminBan format (e.g. "1d", "12h").',
+        default: '1d'
+      },
+      enableTrust: {
+        required: false,
+        description: 'If true, players earn trust from clean matches and time played (stored in the database) and trusted players may create custom squads during the block window.',
+        default: false
+      },
+      trustedPlayerLevel: {
+        required: false,
+        description: 'Trust a player needs to bypass the block window.',
+        default: 10
+      },
+      trustPerCleanMatch: {
+        required: false,
+        description: 'Trust earned for finishing a match without any squad creation violations.',
+        default: 1
+      },
+      trustPerHourPlayed: {
+        required: false,
+        description: 'Trust earned per hour played.',
+        default: 1
+      },
+      trustViolationPenalty: {
+        required: false,
+        description: 'Trust lost for each cooldown, kick or ban.',
+        default: 5
+      },
+      trustMinimumMatchTime: {
+        required: false,
+        description: 'Seconds a player must have played in a match for it to count as a clean match.',
+        default: 600
+      },
+      discordClient: {
+        required: false,
+        description: 'Name of the Discord connector (from the SquadJS "connectors" config) used to post the enforcement audit log. Leave empty to disable.',
+        default: ''
+      },
+      channelID: {
+        required: false,
+        description: 'ID of the Discord channel to post disbands, cooldowns, kicks and block window changes to. Leave empty to disable.',
+        default: '',
+        example: '667741905228136459'
+      },
+      color: {
+        required: false,
+        description: 'Color of the Discord audit log embeds.',
+        default: 16761867
+      },
+      nameFilterRules: {
+        required: false,
+        description: 'Squad name rules enforced for the entire match. Each rule has a "pattern" (regex) and/or "keywords" (matched after normalizing leetspeak, homoglyphs and spacing), an "action" ("disband", "warn", "rateLimit" or "kick") and an optional "message".',
+        default: [],
+        example: [{ keywords: ['admin', 'server'], action: 'disband', message: 'Squad names may not impersonate admins.' }]
+      },
+      layerProfiles: {
+        required: false,
+        description: 'Per-layer overrides picked at the start of each match. Each profile matches on "layers" (regex patterns tested against the layer name and classname) and/or "gamemodes", and may override blockDuration, broadcastMode, allowDefaultSquadNames and the rate limiting options. The first matching profile wins; otherwise the global options are used.',
+        default: [],
+        example: [
+          { gamemodes: ['Seed'], blockDuration: 0, enableRateLimiting: false },
+          { gamemodes: ['Invasion', 'Insurgency'], blockDuration: 30 },
+          { layers: ['Skirmish'], blockDuration: 10, broadcastMode: true }
+        ]
+      },
+      squadTags: {
+        required: false,
+        description: 'Role tags squad names must start with, enforced for the entire match. Each entry has a "tag", an optional "pattern" (regex) replacing the default prefix match and an optional "maxPerTeam" quota.',
+        default: [],
+        example: [
+          { tag: 'INF' },
+          { tag: 'ARMOR', maxPerTeam: 2 },
+          { tag: 'LOGI' },
+          { tag: 'HELI', maxPerTeam: 1 },
+          { tag: 'CMD', maxPerTeam: 1 }
+        ]
+      },
+      requireSquadTag: {
+        required: false,
+        description: 'If true, squads whose name does not start with one of the squadTags are disbanded. If false, only the quotas are enforced.',
+        default: true
+      },
+      preventDuplicateSquadNames: {
+        required: false,
+        description: 'If true, a new squad is disbanded when another squad on the same team has the same name, ignoring case, whitespace, punctuation and trailing numbers.',
+        default: false
+      },
+      repeatableSquadNames: {
+        required: false,
+        description: 'Squad names that may be used by several squads on the same team when preventDuplicateSquadNames is enabled.',
+        default: [],
+        example: ['INF', 'MEDIC']
+      },
+      dormantBelowPlayerCount: {
+        required: false,
+        description: 'Below this many players the plugin stays dormant: no block window, rate limiting or polling (0 to disable).',
+        default: 0
+      },
+      lightProfileBelowPlayerCount: {
+        required: false,
+        description: 'Below this many players (but at or above dormantBelowPlayerCount) the lightProfile overrides are applied (0 to disable).',
+        default: 0
+      },
+      lightProfile: {
+        required: false,
+        description: 'Option overrides used while the player count is in the light range. Accepts the same options as layerProfiles.',
+        default: { enableRateLimiting: false }
+      },
+      playerCountHysteresis: {
+        required: false,
+        description: 'How many players below a threshold the count must drop before the plugin steps back down, so it does not flap around the threshold.',
+        default: 3
+      },
+      playerCountCheckInterval: {
+        required: false,
+        description: 'Interval in seconds for re-evaluating the player count during a match.',
+        default: 30
+      },
+      scheduledWindows: {
+        required: false,
+        description: 'Additional block windows relative to the match timer ({ after, duration } or { beforeEnd, duration }) or at clock times ({ cron, duration }).',
         default: []
+      },
+      matchLength: {
+        required: false,
+        description: 'Round length in seconds used for beforeEnd windows when the server does not report a match timeout.',
+        default: 0
+      },
+      locale: {
+        required: false,
+        description: 'Locale used for broadcasts and for players without an entry in playerLocales.',
+        default: 'en'
+      },
+      messages: {
+        required: false,
+        description: 'Message templates per locale, overriding the built-in English text. Placeholders like {timeLeft} are filled in. {timeLeft|second|seconds} or {timeLeft|one:…|few:…|many:…|other:…} picks a word by the plural rules of the locale.',
+        default: {},
+        example: { de: { unlocked: 'Eigene Squadnamen sind jetzt erlaubt!' } }
+      },
+      playerLocales: {
+        required: false,
+        description: 'Map of player EOS or Steam IDs to the locale their warnings are sent in.',
+        default: {},
+        example: { '76561198000000000': 'de' }
+      }
+    };
+  }
+
+  constructor(server, options, connectors) {
+    super(server, options, connectors);
+    // Connectors are optional, so they are looked up by name instead of declared as SquadJS connector options
+    this.connectors = connectors || {};
+    this.database = null;
+    this.discordClient = null;
+    this.optionErrors = this.validateOptions(this.options, this.rawOptions);
+    this.resetInvalidOptions(this.options, this.optionErrors);
+    // Reloads start from the config without its invalid options, so one bad value can't block every reload
+    const invalidOptions = new Set(this.optionErrors.flatMap(error => error.options));
+    this.configOptions = Object.fromEntries(Object.entries(this.rawOptions).filter(([optionName]) => !invalidOptions.has(optionName)));
+    this.globalOptions = { ...this.options };
+    this.activeLayerProfile = null;
+    this.activityLevel = 'full';
+    this.playerCountIntervalId = null;
+    this.phase = 'warmup';
+    this.phaseChangedAt = Date.now();
+    this.blockDurationMs = this.options.blockDuration * 1000;
+    this.blockEndTime = 0;
+    this.blockTimeoutId = null;
+    this.broadcastTimeouts = [];
+    this.countdownPlayers = new Set();
+    this.rconQueue = [];
+    this.rconSequence = 0;
+    this.isRconQueueRunning = false;
+    this.lastRconSendTime = 0;
+    this.recentWarns = new Map();
+    this.playerAttempts = new Map();
+    this.playerCooldowns = new Map();
+    this.playerAttemptTimes = new Map();
+    this.playerTokens = new Map();
+    this.pollIntervalId = null;
+    this.pollIntervalSeconds = 0;
+    this.fastPollUntil = 0;
+    this.isPollRunning = false;
+    this.cooldownWarningTimeouts = new Map();
+    this.knownSquads = new Map();
+    this.disbandedSquads = new Map();
+    this.reservations = new Map();
+    this.reservationGraceEndTime = 0;
+    this.reservationTimeoutId = null;
+    this.offenderLevels = new Map();
+    this.trustScores = new Map();
+    this.trustedCreations = new Map();
+    this.playerJoinTimes = new Map();
+    this.playerCommandTimes = new Map();
+    this.pluralRules = new Map();
+    this.models = {};
+    this.discordChannel = null;
+    this.dryRunReport = this.createDryRunReport();
+    this.lastDryRunReport = null;
+    this.matchStatistics = this.createMatchStatistics();
+    this.lastMatchStatistics = null;
+    this.compileOptions();
+    this.scheduleIntervalId = null;
+    this.triggeredWindows = new Map();
+    this.matchStartTime = null;
+    this.bindEventHandlers();
+  }
+
+  bindEventHandlers() {
+    this.handleNewGame = this.handleNewGame.bind(this);
+    this.handleSquadCreated = this.handleSquadCreated.bind(this);
+    this.handleRoundEnd = this.handleRoundEnd.bind(this);
+    this.handleChatMessage = this.handleChatMessage.bind(this);
+    this.handlePlayerConnected = this.handlePlayerConnected.bind(this);
+    this.checkPlayerCount = this.checkPlayerCount.bind(this);
+    this.checkScheduledWindows = this.checkScheduledWindows.bind(this);
+    this.handleOptionsFileChange = this.handleOptionsFileChange.bind(this);
+    this.endBlockWindow = this.endBlockWindow.bind(this);
+    this.pollSquads = this.pollSquads.bind(this);
+  }
+
+  getConnector(optionName) {
+    const name = this.options[optionName];
+    if (!name) return null;
+    if (!this.connectors[name]) {
+      this.verbose(1, `Connector "${name}" for ${optionName} was not found. Define it under "connectors" and use it in a plugin that requires it, e.g. DBLog or DiscordChat.`);
+    }
+    return this.connectors[name] || null;
+  }
+
+  async prepareToMount() {
+    // Resolved here rather than in the constructor so connectors created for plugins later in the config are available
+    this.database = this.getConnector('database');
+    this.discordClient = this.getConnector('discordClient');
+
+    if (this.discordClient && this.options.channelID) {
+      try {
+        this.discordChannel = await this.discordClient.channels.fetch(this.options.channelID);
+      } catch (err) {
+        this.verbose(1, `Could not fetch Discord channel ${this.options.channelID}: ${err.message}`);
+      }
+    }
+
+    if (this.isOffenderHistoryEnabled()) {
+      this.models.Offense = this.database.define(
+        'SquadCreationBlocker_Offense',
+        {
+          id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+          playerID: { type: DataTypes.STRING, allowNull: false },
+          eosID: { type: DataTypes.STRING },
+          steamID: { type: DataTypes.STRING },
+          type: { type: DataTypes.STRING, allowNull: false },
+          time: { type: DataTypes.DATE, allowNull: false }
+        },
+        {
+          timestamps: false,
+          indexes: [{ fields: ['playerID'] }, { fields: ['eosID'] }, { fields: ['steamID'] }]
+        }
+      );
+      await this.models.Offense.sync();
+    }
+
+    if (this.isTrustEnabled()) {
+      this.models.Trust = this.database.define(
+        'SquadCreationBlocker_Trust',
+        {
+          id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+          eosID: { type: DataTypes.STRING },
+          steamID: { type: DataTypes.STRING },
+          trust: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+          cleanMatches: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+          secondsPlayed: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+          violations: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+          lastSeen: { type: DataTypes.DATE }
+        },
+        {
+          timestamps: false,
+          indexes: [{ fields: ['eosID'] }, { fields: ['steamID'] }]
+        }
+      );
+      await this.models.Trust.sync();
+    }
+  }
+
+  async mount() {
+    if (this.optionErrors.length > 0) {
+      const messages = this.optionErrors.map(error => error.message).join(' ');
+      if (this.options.strictOptionValidation) throw new Error(`Invalid SquadCreationBlocker options: ${messages}`);
+      this.verbose(1, `Ignoring invalid options and using defaults instead: ${messages}`);
+    }
+
+    this.server.on('NEW_GAME', this.handleNewGame);
+    this.server.on('SQUAD_CREATED', this.handleSquadCreated);
+    this.server.on('ROUND_ENDED', this.handleRoundEnd);
+    this.server.on('CHAT_MESSAGE', this.handleChatMessage);
+    this.server.on('PLAYER_CONNECTED', this.handlePlayerConnected);
+
+    const serverMatchStart = this.server.matchStartTime ? new Date(this.server.matchStartTime).getTime() : NaN;
+    this.matchStartTime = Number.isNaN(serverMatchStart) ? null : serverMatchStart;
+    if (this.options.optionsFile) {
+      this.verbose(1, await this.reloadOptions());
+      if (this.options.watchOptionsFile) {
+        fs.watchFile(this.options.optionsFile, { interval: 2000 }, this.handleOptionsFileChange);
+      }
+    }
+    this.startBackgroundChecks();
+    this.updatePolling();
+  }
+
+  startBackgroundChecks() {
+    this.stopBackgroundChecks();
+    if (this.isPlayerCountActivationEnabled()) {
+      this.checkPlayerCount();
+      this.playerCountIntervalId = setInterval(this.checkPlayerCount, this.options.playerCountCheckInterval * 1000);
+    }
+    if (this.scheduledWindows.length > 0) {
+      this.checkScheduledWindows();
+      this.scheduleIntervalId = setInterval(this.checkScheduledWindows, 1000);
+    }
+  }
+
+  stopBackgroundChecks() {
+    clearInterval(this.playerCountIntervalId);
+    this.playerCountIntervalId = null;
+    clearInterval(this.scheduleIntervalId);
+    this.scheduleIntervalId = null;
+  }
+
+  async unmount() {
+    clearTimeout(this.blockTimeoutId);
+    this.clearBroadcasts();
+    this.clearCooldownWarnings();
+    this.stopPolling();
+    this.stopBackgroundChecks();
+    if (this.options.optionsFile && this.options.watchOptionsFile) {
+      fs.unwatchFile(this.options.optionsFile, this.handleOptionsFileChange);
+    }
+    this.triggeredWindows.clear();
+    this.clearReservations();
+    this.clearRconQueue();
+    this.server.removeEventListener('NEW_GAME', this.handleNewGame);
+    this.server.removeEventListener('SQUAD_CREATED', this.handleSquadCreated);
+    this.server.removeEventListener('ROUND_ENDED', this.handleRoundEnd);
+    this.server.removeEventListener('CHAT_MESSAGE', this.handleChatMessage);
+    this.server.removeEventListener('PLAYER_CONNECTED', this.handlePlayerConnected);
+  }
+
+  async handleNewGame(info = {}) {
+    this.matchStartTime = Date.now();
+    this.activeLayerProfile = this.findLayerProfile(info);
+    if (this.isPlayerCountActivationEnabled()) {
+      this.activityLevel = this.getActivityLevel(this.getPlayerCount());
+    }
+    this.updateEffectiveOptions();
+    this.offenderLevels.clear();
+    this.trustScores.clear();
+    this.trustedCreations.clear();
+    this.disbandedSquads.clear();
+    this.playerJoinTimes.clear();
+    this.playerCommandTimes.clear();
+    this.clearReservations();
+    const layerName = (info.layer || this.server.currentLayer)?.name || info.layerClassname || null;
+    this.dryRunReport.layer = layerName;
+    this.matchStatistics = this.createMatchStatistics(layerName);
+    if (this.options.rateLimitingScope === 'blockingPeriodOnly') {
+      this.resetRateLimitingData();
+    }
+
+    if (this.blockDurationMs > 0 && this.activityLevel !== 'dormant') {
+      this.startBlockWindow(this.blockDurationMs);
+    } else {
+      this.cancelBlockWindow(this.activityLevel === 'dormant' ? 'dormant' : 'live', 'newGame');
+      this.matchStatistics.unlockedAt = Date.now();
+    }
+    this.checkScheduledWindows();
+    await this.initializeKnownSquads();
+    this.updatePolling();
+  }
+
+  compileOptions() {
+    this.nameFilterRules = this.compileNameFilterRules(this.globalOptions.nameFilterRules);
+    this.squadWhitelistPatterns = this.globalOptions.squadWhitelist.map(name => this.compileNamePattern(name));
+    this.exemptions = this.compileExemptions(this.globalOptions.exemptions);
+    this.squadTags = this.compileSquadTags(this.globalOptions.squadTags);
+    this.scheduledWindows = this.compileScheduledWindows(this.globalOptions.scheduledWindows);
+    this.repeatableSquadNames = new Set(this.globalOptions.repeatableSquadNames.map(name => this.getDuplicateNameKey(name)));
+  }
+
+  resolveOptions(overrides = {}) {
+    const rawOptions = { ...this.configOptions, ...overrides };
+    const options = {};
+    for (const [optionName, option] of Object.entries(this.constructor.optionsSpecification)) {
+      if (FIXED_OPTIONS.includes(optionName)) {
+        options[optionName] = this.globalOptions[optionName];
+      } else {
+        options[optionName] = typeof rawOptions[optionName] !== 'undefined' ? rawOptions[optionName] : option.default;
+      }
+    }
+    return options;
+  }
+
+  validateOptions(options, rawOptions = {}) {
+    const specification = this.constructor.optionsSpecification;
+    const errors = Object.keys(rawOptions)
+      .filter(optionName => !(optionName in specification) && !['plugin', 'enabled'].includes(optionName))
+      .map(optionName => ({ options: [], message: `Unknown option "${optionName}".` }));
+
+    for (const [optionName, option] of Object.entries(specification)) {
+      const message = this.validateOptionValue(optionName, options[optionName]);
+      if (message) errors.push({ options: [optionName], message });
+    }
+
+    for (const optionName of Object.keys(ITEM_FIELDS)) {
+      if (errors.some(error => error.options.includes(optionName))) continue;
+      const message = this.validateItems(optionName, options[optionName]);
+      if (message) errors.push({ options: [optionName], message });
+    }
+    if (!errors.some(error => error.options.includes('squadWhitelist'))) {
+      const message = this.validateFieldValue('squadWhitelist', options.squadWhitelist, 'namePatterns');
+      if (message) errors.push({ options: ['squadWhitelist'], message });
+    }
+
+    const invalid = new Set(errors.flatMap(error => error.options));
+    const profiles = [];
+    if (!invalid.has('lightProfile')) profiles.push(['lightProfile', 'lightProfile', options.lightProfile]);
+    if (!invalid.has('layerProfiles')) {
+      options.layerProfiles.forEach((profile, index) => profiles.push(['layerProfiles', `layerProfiles[${index}]`, profile]));
+    }
+    for (const [optionName, label, profile] of profiles) {
+      const message = this.validateProfile(label, profile, optionName === 'layerProfiles');
+      if (message) errors.push({ options: [optionName], message });
+    }
+
+    if (!invalid.has('messages')) {
+      const message = this.validateMessages(options.messages);
+      if (message) errors.push({ options: ['messages'], message });
+    }
+    if (!invalid.has('phasePolicies')) {
+      const message = this.validatePhasePolicies(options.phasePolicies);
+      if (message) errors.push({ options: ['phasePolicies'], message });
+    }
+    if (!invalid.has('playerLocales') && Object.values(options.playerLocales).some(locale => typeof locale !== 'string')) {
+      errors.push({ options: ['playerLocales'], message: 'playerLocales must map player IDs to locale names.' });
+    }
+
+    const check = (optionNames, isValid, message) => {
+      if (optionNames.some(optionName => invalid.has(optionName)) || isValid()) return;
+      errors.push({ options: optionNames, message });
+    };
+    check(
+      ['warningThreshold', 'kickThreshold'],
+      () => options.kickThreshold === 0 || options.warningThreshold < options.kickThreshold,
+      `warningThreshold (${options.warningThreshold}) must be lower than kickThreshold (${options.kickThreshold}) when kicking is enabled.`
+    );
+    check(
+      ['dormantBelowPlayerCount', 'lightProfileBelowPlayerCount'],
+      () => options.dormantBelowPlayerCount === 0 || options.lightProfileBelowPlayerCount === 0 || options.dormantBelowPlayerCount < options.lightProfileBelowPlayerCount,
+      `dormantBelowPlayerCount (${options.dormantBelowPlayerCount}) must be lower than lightProfileBelowPlayerCount (${options.lightProfileBelowPlayerCount}).`
+    );
+    check(
+      ['adminCommand', 'reserveCommand'],
+      () => !options.enableReservations || options.adminCommand.toLowerCase() !== options.reserveCommand.toLowerCase(),
+      `reserveCommand and adminCommand must be different, both are "${options.reserveCommand}".`
+    );
+    return errors;
+  }
+
+  validateOptionValue(optionName, value, label = optionName) {
+    const rule = OPTION_RULES[optionName] || {};
+    const expectedType = typeOf(this.constructor.optionsSpecification[optionName].default);
+    if (typeOf(value) !== expectedType) return `${label} must be ${TYPE_NAMES[expectedType]}, got ${JSON.stringify(value)}.`;
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      return `${label} must be one of ${rule.enum.map(option => `"${option}"`).join(', ')}, got "${value}".`;
+    }
+    if (expectedType === 'number') {
+      if (!Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) return `${label} must be a whole number, got ${value}.`;
+      if (rule.min !== undefined && value < rule.min) return `${label} must be at least ${rule.min}, got ${value}.`;
+      if (rule.max !== undefined && value > rule.max) return `${label} must be at most ${rule.max}, got ${value}.`;
+      if (rule.positive && value <= 0) return `${label} must be greater than 0, got ${value}.`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) return `${label} has an invalid format: "${value}".`;
+    if (rule.items) {
+      const index = value.findIndex(item => typeOf(item) !== rule.items);
+      if (index !== -1) return `${label}[${index}] must be ${TYPE_NAMES[rule.items]}, got ${JSON.stringify(value[index])}.`;
+    }
+    return null;
+  }
+
+  validateProfile(label, profile, isLayerProfile) {
+    const allowedKeys = isLayerProfile ? ['name', 'layers', 'gamemodes', ...PROFILE_OPTIONS] : PROFILE_OPTIONS;
+    for (const [key, value] of Object.entries(profile)) {
+      if (!allowedKeys.includes(key)) return `${label} has unknown option "${key}".`;
+      if (key === 'layers' || key === 'gamemodes') {
+        const message = this.validateFieldValue(`${label}.${key}`, value, key === 'layers' ? 'regexes' : 'strings');
+        if (message) return message;
+        continue;
+      }
+      if (key === 'name') continue;
+      const message = this.validateOptionValue(key, value, `${label}.${key}`);
+      if (message) return message;
+    }
+    return null;
+  }
+
+  validateItems(optionName, items) {
+    const fields = ITEM_FIELDS[optionName];
+    for (const [index, item] of items.entries()) {
+      const label = `${optionName}[${index}]`;
+      for (const [key, value] of Object.entries(item)) {
+        if (!(key in fields)) return `${label} has unknown field "${key}".`;
+        const message = this.validateFieldValue(`${label}.${key}`, value, fields[key]);
+        if (message) return message;
+      }
+
+      if (optionName === 'nameFilterRules') {
+        if (!item.pattern && !(item.keywords?.length > 0)) return `${label} needs a pattern or keywords.`;
+        if ('action' in item && !NAME_FILTER_ACTIONS.includes(item.action)) {
+          return `${label}.action must be one of ${NAME_FILTER_ACTIONS.map(action => `"${action}"`).join(', ')}, got "${item.action}".`;
+        }
+      } else if (optionName === 'exemptions') {
+        // A rule without conditions would exempt every squad
+        if (!['names', 'playerIDs', 'permissions'].some(key => item[key]?.length > 0)) return `${label} needs names, playerIDs or permissions.`;
+      } else if (optionName === 'squadTags') {
+        if (!item.tag) return `${label} needs a tag.`;
+        if ('maxPerTeam' in item && !(Number.isInteger(item.maxPerTeam) && item.maxPerTeam >= 0)) return `${label}.maxPerTeam must be a whole number of at least 0.`;
+      } else if (optionName === 'scheduledWindows') {
+        if (!(item.duration > 0)) return `${label}.duration must be a positive number of seconds.`;
+        if (['after', 'beforeEnd', 'cron'].filter(key => key in item).length > 1) return `${label} can only set one of after, beforeEnd and cron.`;
+        if (item.after < 0 || item.beforeEnd < 0) return `${label}.${item.after < 0 ? 'after' : 'beforeEnd'} must be at least 0.`;
+      }
+    }
+    return null;
+  }
+
+  validateFieldValue(label, value, type) {
+    if (type === 'string' || type === 'regex' || type === 'cron') {
+      if (typeof value !== 'string') return `${label} must be a string, got ${JSON.stringify(value)}.`;
+    } else if (type === 'number') {
+      if (!Number.isFinite(value)) return `${label} must be a number, got ${JSON.stringify(value)}.`;
+    } else if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return `${label} must be an array of strings.`;
+    }
+
+    try {
+      if (type === 'regex') new RegExp(value, 'i');
+      if (type === 'regexes') value.forEach(pattern => new RegExp(pattern, 'i'));
+      if (type === 'namePatterns') value.forEach(name => this.compileNamePattern(name));
+      if (type === 'cron') this.parseCron(value);
+    } catch (err) {
+      return `${label} is invalid: ${err.message}`;
+    }
+    return null;
+  }
+
+  validateMessages(messages) {
+    for (const [locale, templates] of Object.entries(messages)) {
+      if (typeOf(templates) !== 'object') return `messages.${locale} must be an object of message templates.`;
+      for (const [key, template] of Object.entries(templates)) {
+        if (!(key in DEFAULT_MESSAGES)) return `messages.${locale} has unknown message "${key}".`;
+        if (typeof template !== 'string') return `messages.${locale}.${key} must be a string.`;
+      }
+    }
+    return null;
+  }
+
+  validatePhasePolicies(policies) {
+    for (const [phase, policy] of Object.entries(policies)) {
+      if (!PHASES.includes(phase)) return `phasePolicies has unknown phase "${phase}". Phases are ${PHASES.join(', ')}.`;
+      if (typeOf(policy) !== 'object') return `phasePolicies.${phase} must be an object.`;
+      if (phase === 'dormant' && Object.keys(policy).length > 0) {
+        return 'phasePolicies.dormant cannot be changed: the plugin ignores squads and does not poll while dormant.';
+      }
+      for (const [field, value] of Object.entries(policy)) {
+        const type = PHASE_POLICY_TYPES[field];
+        if (!type || (field === 'duration' && phase !== 'roundEnding')) return `phasePolicies.${phase} has unknown field "${field}".`;
+        if (typeOf(value) !== type) return `phasePolicies.${phase}.${field} must be ${TYPE_NAMES[type]}.`;
+        if (field === 'duration' && value < 0) return `phasePolicies.${phase}.duration must be at least 0.`;
+        if (field === 'message' && value && !(value in DEFAULT_MESSAGES)) return `phasePolicies.${phase}.message has unknown message "${value}".`;
+      }
+    }
+    return null;
+  }
+
+  resetInvalidOptions(options, errors) {
+    const specification = this.constructor.optionsSpecification;
+    for (const optionName of errors.flatMap(error => error.options)) {
+      options[optionName] = specification[optionName].default;
+    }
+  }
+
+  async reloadOptions() {
+    const file = this.globalOptions.optionsFile;
+    if (!file) return 'No optionsFile is configured.';
+
+    let overrides;
+    try {
+      overrides = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+      return `Could not read options from ${file}: ${err.message}`;
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return `Could not read options from ${file}: expected a JSON object.`;
+    }
+
+    const specification = this.constructor.optionsSpecification;
+    const errors = Object.keys(overrides)
+      .filter(optionName => !(optionName in specification) || FIXED_OPTIONS.includes(optionName))
+      .map(optionName => `${optionName} cannot be set in the options file.`);
+    const options = this.resolveOptions(overrides);
+    errors.push(...this.validateOptions(options).map(error => error.message));
+    if (errors.length > 0) return `Options in ${file} were not applied: ${errors.join(' ')}`;
+
+    try {
+      await this.applyOptions(options);
+    } catch (err) {
+      return `Error applying options from ${file}: ${err.message}`;
+    }
+    return `Reloaded ${Object.keys(overrides).length} option override${Object.keys(overrides).length !== 1 ? 's' : ''} from ${file}.`;
+  }
+
+  async applyOptions(options) {
+    this.globalOptions = options;
+    this.compileOptions();
+    this.activeLayerProfile = this.findLayerProfile();
+    if (!this.isPlayerCountActivationEnabled()) this.activityLevel = 'full';
+    this.updateEffectiveOptions();
+    // Newly enabled database features and a changed Discord channel need their setup to run again
+    await this.prepareToMount();
+
+    // The current window keeps its end time and cooldowns keep running; only derived state is rebuilt
+    if (!this.options.enableRateLimiting) this.resetRateLimitingData();
+    if (this.isBlocking && !this.isRoundEnding) {
+      this.clearBroadcasts();
+      if (this.options.broadcastMode) this.scheduleBroadcasts(this.blockEndTime - Date.now());
+    }
+    this.stopPolling();
+    this.updatePolling();
+    this.startBackgroundChecks();
+  }
+
+  async handleOptionsFileChange(current, previous) {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    this.verbose(1, await this.reloadOptions());
+  }
+
+  findLayerProfile(info = {}) {
+    const layer = info.layer || this.server.currentLayer || {};
+    const layerNames = [layer.name, layer.classname, info.layerClassname].filter(Boolean);
+    const gamemode = (layer.gamemode || '').toLowerCase();
+
+    const profile = this.globalOptions.layerProfiles.find(candidate =>
+      (candidate.layers || []).some(pattern => layerNames.some(name => new RegExp(pattern, 'i').test(name))) ||
+      (candidate.gamemodes || []).some(mode => mode.toLowerCase() === gamemode)
+    ) || null;
+
+    if (profile) {
+      this.verbose(1, `Using layer profile ${profile.name || JSON.stringify(profile.layers || profile.gamemodes)} for ${layerNames[0] || 'unknown layer'}.`);
+    }
+    return profile;
+  }
+
+  updateEffectiveOptions() {
+    const overrides = [this.activeLayerProfile, this.activityLevel === 'light' ? this.globalOptions.lightProfile : null];
+
+    this.options = { ...this.globalOptions };
+    for (const profile of overrides) {
+      if (!profile) continue;
+      for (const option of PROFILE_OPTIONS) {
+        if (option in profile) this.options[option] = profile[option];
+      }
+    }
+    this.blockDurationMs = this.options.blockDuration * 1000;
+  }
+
+  isPlayerCountActivationEnabled() {
+    return this.globalOptions.dormantBelowPlayerCount > 0 || this.globalOptions.lightProfileBelowPlayerCount > 0;
+  }
+
+  getPlayerCount() {
+    const players = this.server.players || [];
+    if (players.length === 0 && typeof this.server.a2sPlayerCount === 'number') return this.server.a2sPlayerCount;
+    return players.length;
+  }
+
+  getActivityLevel(playerCount) {
+    const levels = ['dormant', 'light', 'full'];
+    const currentLevel = levels.indexOf(this.activityLevel);
+    // Stepping down needs the count to fall below the threshold minus the hysteresis margin
+    const threshold = (count, level) => (currentLevel >= level ? count - this.globalOptions.playerCountHysteresis : count);
+
+    if (playerCount < threshold(this.globalOptions.dormantBelowPlayerCount, 1)) return 'dormant';
+    if (playerCount < threshold(this.globalOptions.lightProfileBelowPlayerCount, 2)) return 'light';
+    return 'full';
+  }
+
+  checkPlayerCount() {
+    const playerCount = this.getPlayerCount();
+    const activityLevel = this.getActivityLevel(playerCount);
+    if (activityLevel === this.activityLevel) return;
+
+    this.verbose(1, `Player count is ${playerCount}, switching from ${this.activityLevel} to ${activityLevel}.`);
+    this.activityLevel = activityLevel;
+    this.updateEffectiveOptions();
+
+    if (activityLevel === 'dormant') {
+      this.cancelBlockWindow('dormant', 'playerCount');
+      this.resetRateLimitingData();
+    } else if (this.phase === 'dormant') {
+      this.setPhase('live', 'playerCount');
+    }
+    this.updatePolling();
+  }
+
+  cancelBlockWindow(nextPhase = 'live', reason = 'cancelled') {
+    if (this.isBlocking) {
+      this.emitEvent('SQUAD_BLOCK_WINDOW_ENDED', { reason });
+    }
+    clearTimeout(this.blockTimeoutId);
+    this.blockTimeoutId = null;
+    this.clearBroadcasts();
+    this.countdownPlayers.clear();
+    this.setPhase(nextPhase, reason);
+  }
+
+  get isBlocking() {
+    return this.phase === 'blocked' || this.phase === 'roundEnding';
+  }
+
+  get isRoundEnding() {
+    return this.phase === 'roundEnding';
+  }
+
+  setPhase(phase, reason) {
+    if (phase === this.phase) return;
+    const previousPhase = this.phase;
+    this.phase = phase;
+    this.phaseChangedAt = Date.now();
+    this.verbose(1, `Phase changed from ${previousPhase} to ${phase} (${reason}).`);
+    this.emitEvent('SQUAD_CREATION_PHASE_CHANGED', { phase, previousPhase, reason });
+  }
+
+  getPhasePolicy(phase = this.phase) {
+    const policy = { ...DEFAULT_PHASE_POLICIES[phase], ...this.options.phasePolicies[phase] };
+    return {
+      ...policy,
+      blockDefaultNames: policy.blockDefaultNames ?? !this.options.allowDefaultSquadNames,
+      rateLimit: policy.rateLimit ?? (this.options.rateLimitingScope === 'entireMatch' || policy.blockCustomNames)
+    };
+  }
+
+  getPhaseState() {
+    return {
+      phase: this.phase,
+      since: new Date(this.phaseChangedAt),
+      endTime: this.isBlocking && this.blockTimeoutId ? new Date(this.blockEndTime) : null,
+      policy: this.getPhasePolicy()
+    };
+  }
+
+  getPhaseSummary() {
+    const { phase, since, endTime, policy } = this.getPhaseState();
+    const onOff = value => (value ? 'on' : 'off');
+    const ends = endTime ? `, ends in ${Math.max(0, Math.ceil((endTime - Date.now()) / 1000))}s` : '';
+    return `Phase: ${phase} for ${Math.round((Date.now() - since) / 1000)}s${ends}. ` +
+      `Custom names ${policy.blockCustomNames ? 'blocked' : 'allowed'}, rate limiting ${onOff(policy.rateLimit && this.options.enableRateLimiting)}, polling ${onOff(policy.polling)}.`;
+  }
+
+  overridePhase(phase) {
+    if (phase === 'blocked') {
+      this.startBlockWindow(this.blockDurationMs || this.globalOptions.blockDuration * 1000, 'adminPhase');
+    } else if (phase === 'roundEnding') {
+      this.startRoundEnd('adminPhase');
+    } else if (phase === 'dormant') {
+      this.cancelBlockWindow('dormant', 'adminPhase');
+      this.resetRateLimitingData();
+    } else if (this.isBlocking) {
+      this.endBlockWindow('adminPhase', phase);
+    } else {
+      this.setPhase(phase, 'adminPhase');
+    }
+    this.updatePolling();
+  }
+
+  updatePolling() {
+    const interval = this.getPollInterval();
+    if (this.pollIntervalId && this.pollIntervalSeconds === interval) return;
+    this.stopPolling();
+    if (interval > 0) this.startPolling(interval);
+  }
+
+  getPollInterval() {
+    const policy = this.getPhasePolicy();
+    if (!policy.polling) return 0;
+    const holdsReservations = this.isReservationGraceActive();
+    const enforcesNames = this.nameFilterRules.length > 0 || this.squadTags.length > 0 || this.options.preventDuplicateSquadNames || holdsReservations;
+    if (!enforcesNames && !this.shouldApplyRateLimit()) return 0;
+    if (policy.blockCustomNames || holdsReservations || Date.now() < this.fastPollUntil || this.hasPlayersInCooldown()) return this.options.pollInterval;
+    // Rate limiting alone has nothing to catch while nobody is in cooldown
+    return enforcesNames ? this.options.idlePollInterval : 0;
+  }
+
+  startBlockWindow(durationMs, reason = 'newGame') {
+    clearTimeout(this.blockTimeoutId);
+    // An extended or replaced window is reported as ended first, so STARTED and ENDED events always pair up
+    if (this.isBlocking) this.emitEvent('SQUAD_BLOCK_WINDOW_ENDED', { reason });
+    this.setPhase('blocked', reason);
+    this.blockEndTime = Date.now() + durationMs;
+
+    this.clearBroadcasts();
+    if (this.options.broadcastMode) {
+      this.scheduleBroadcasts(durationMs);
+    }
+
+    this.blockTimeoutId = setTimeout(this.endBlockWindow, durationMs);
+    this.logToDiscord('Squad Block Window Started', [
+      { name: 'Duration', value: `${Math.ceil(durationMs / 1000)}s`, inline: true }
+    ]);
+    this.emitEvent('SQUAD_BLOCK_WINDOW_STARTED', { reason, endTime: new Date(this.blockEndTime) });
+  }
+
+  // After the round-end block the plugin waits for the next game in warmup
+  endBlockWindow(reason = 'expired', nextPhase = this.isRoundEnding ? 'warmup' : 'live') {
+    const wasRoundEnding = this.isRoundEnding;
+    if (!wasRoundEnding && !this.matchStatistics.unlockedAt) this.matchStatistics.unlockedAt = Date.now();
+    clearTimeout(this.blockTimeoutId);
+    this.blockTimeoutId = null;
+    this.setPhase(nextPhase, reason);
+    this.clearBroadcasts();
+    this.trustedCreations.clear();
+    this.countdownPlayers.clear();
+    this.broadcastMessage(this.formatMessage('unlocked'));
+    this.updatePolling();
+    this.logToDiscord('Squad Block Window Ended', []);
+    this.emitEvent('SQUAD_BLOCK_WINDOW_ENDED', { reason });
+    if (!wasRoundEnding) {
+      this.startReservationGracePeriod();
+    }
+  }
+
+  compileScheduledWindows(windows) {
+    return windows.map((window, index) => ({
+      ...window,
+      name: window.name || `#${index + 1}`,
+      cronFields: window.cron ? this.parseCron(window.cron) : null
+    }));
+  }
+
+  parseCron(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) throw new Error(`"${expression}" must have 5 fields (minute hour day month weekday).`);
+    return fields.map((field, i) => this.parseCronField(field, ...CRON_FIELD_RANGES[i]));
+  }
+
+  parseCronField(field, min, max) {
+    if (field === '*') return null;
+
+    const values = new Set();
+    for (const part of field.split(',')) {
+      const [range, step = '1'] = part.split('/');
+      const [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+      const last = end ?? (part.includes('/') ? max : start);
+      const stepSize = Number(step);
+      if (![start, last, stepSize].every(Number.isInteger) || start < min || last > max || start > last || stepSize < 1) {
+        throw new Error(`Invalid cron field "${field}".`);
+      }
+      for (let value = start; value <= last; value += stepSize) values.add(value);
+    }
+    // Both 0 and 7 mean Sunday
+    if (max === 7 && values.has(7)) values.add(0);
+    return values;
+  }
+
+  matchesCron([minutes, hours, days, months, weekdays], date) {
+    const matches = (values, value) => !values || values.has(value);
+    if (!matches(minutes, date.getMinutes()) || !matches(hours, date.getHours()) || !matches(months, date.getMonth() + 1)) {
+      return false;
+    }
+    // Like cron, a restricted day-of-month and day-of-week match if either does
+    if (days && weekdays) return days.has(date.getDate()) || weekdays.has(date.getDay());
+    return matches(days, date.getDate()) && matches(weekdays, date.getDay());
+  }
+
+  getMatchLength() {
+    if (typeof this.server.matchTimeout === 'number' && this.server.matchTimeout > 0) return this.server.matchTimeout;
+    return this.options.matchLength;
+  }
+
+  getScheduledWindowStart(window, now) {
+    const durationMs = window.duration * 1000;
+    if (window.cronFields) {
+      for (let time = Math.floor(now / 60000) * 60000; time > now - durationMs; time -= 60000) {
+        if (this.matchesCron(window.cronFields, new Date(time))) return time;
+      }
+      return null;
+    }
+
+    if (!this.matchStartTime) return null;
+    let start;
+    if ('beforeEnd' in window) {
+      const matchLength = this.getMatchLength();
+      if (!(matchLength > 0)) return null;
+      start = this.matchStartTime + (matchLength - window.beforeEnd) * 1000;
+    } else {
+      start = this.matchStartTime + (window.after || 0) * 1000;
+    }
+    return now >= start && now < start + durationMs ? start : null;
+  }
+
+  checkScheduledWindows() {
+    const now = Date.now();
+    for (const [key, endTime] of this.triggeredWindows) {
+      if (endTime <= now) this.triggeredWindows.delete(key);
+    }
+    if (this.phase === 'dormant' || this.isRoundEnding) return;
+
+    this.scheduledWindows.forEach((window, index) => {
+      const start = this.getScheduledWindowStart(window, now);
+      if (start === null) return;
+
+      // Each occurrence triggers once, so an admin lift is not undone on the next check
+      const key = `${index}:${start}`;
+      if (this.triggeredWindows.has(key)) return;
+      const endTime = start + window.duration * 1000;
+      this.triggeredWindows.set(key, endTime);
+      if (this.isBlocking && this.blockEndTime >= endTime) return;
+
+      this.verbose(1, `Scheduled block window ${window.name} started.`);
+      this.startBlockWindow(endTime - now, 'schedule');
+      this.updatePolling();
+    });
+  }
+
+  async handleRoundEnd() {
+    if (this.phase !== 'dormant') this.startRoundEnd();
+    if (this.options.rateLimitingScope === 'blockingPeriodOnly') {
+      this.resetRateLimitingData();
+    }
+    await this.awardTrust();
+    await this.finishMatchStatistics();
+    if (this.options.dryRun) {
+      await this.finishDryRunReport();
+    }
+  }
+
+  startRoundEnd(reason = 'roundEnd') {
+    clearTimeout(this.blockTimeoutId);
+    if (this.isBlocking) this.emitEvent('SQUAD_BLOCK_WINDOW_ENDED', { reason });
+    this.blockTimeoutId = null;
+    this.setPhase('roundEnding', reason);
+    this.clearBroadcasts();
+    this.countdownPlayers.clear();
+
+    const { duration } = this.getPhasePolicy();
+    if (duration > 0) {
+      this.blockEndTime = Date.now() + duration * 1000;
+      this.blockTimeoutId = setTimeout(this.endBlockWindow, duration * 1000);
+    }
+    this.logToDiscord('Squad Block Window Started', [
+      { name: 'Duration', value: duration > 0 ? `${duration}s` : 'Until the next game starts', inline: true }
+    ]);
+    this.emitEvent('SQUAD_BLOCK_WINDOW_STARTED', { reason, endTime: duration > 0 ? new Date(this.blockEndTime) : null });
+  }
+
+  async handleChatMessage(info) {
+    if (!info.message) return;
+
+    const [command, ...args] = info.message.trim().split(/\s+/);
+    const commandName = command.toLowerCase();
+    if (this.options.adminCommand && commandName === `!${this.options.adminCommand.toLowerCase()}`) {
+      await this.handleAdminCommand(info, args);
+    } else if (this.options.enableReservations && commandName === `!${this.options.reserveCommand.toLowerCase()}`) {
+      await this.handleReserveCommand(info, args);
+    } else if (this.options.enablePlayerCommands && ['!squadrules', '!cooldown', '!unlock'].includes(commandName)) {
+      await this.handlePlayerCommand(info, commandName.slice(1));
+    }
+  }
+
+  async handleAdminCommand(info, [subcommand = 'status', ...args]) {
+    const adminID = info.player?.eosID || info.player?.steamID || info.eosID || info.steamID;
+    if (!this.isAdminChat(info, adminID)) return;
+
+    const reply = await this.executeAdminCommand(subcommand.toLowerCase(), args);
+    this.verbose(1, `${info.name || adminID} ran "${info.message.trim()}": ${reply}`);
+    await this.replyToPlayer(adminID, reply);
+  }
+
+  isAdminChat(info, playerID) {
+    if (info.chat === 'ChatAdmin') return true;
+    if (!playerID) return false;
+    const admins = this.server.getAdminsWithPermission('canseeadminchat');
+    return [info.player?.eosID, info.player?.steamID, playerID].some(id => id && admins.includes(id));
+  }
+
+  async executeAdminCommand(subcommand, args) {
+    const seconds = parseInt(args[0], 10);
+
+    switch (subcommand) {
+      case 'status':
+        return this.getStatusMessage();
+      case 'extend':
+        if (!(seconds > 0)) return `Usage: !${this.options.adminCommand} extend <seconds>`;
+        if (!this.isBlocking || this.isRoundEnding) return 'No start-of-match block window is active. Use "start" to begin one.';
+        this.startBlockWindow(this.blockEndTime - Date.now() + seconds * 1000, 'adminExtend');
+        return `Block window extended by ${seconds}s. ${this.getStatusMessage()}`;
+      case 'lift':
+        if (!this.isBlocking) return 'Custom squad creation is not blocked.';
+        this.endBlockWindow('adminLift');
+        return 'Block window lifted. Custom squad creation is now unlocked.';
+      case 'start': {
+        const durationMs = seconds > 0 ? seconds * 1000 : (this.blockDurationMs || this.globalOptions.blockDuration * 1000);
+        this.startBlockWindow(durationMs, 'adminStart');
+        this.updatePolling();
+        return `Block window started for ${durationMs / 1000}s.`;
+      }
+      case 'phase': {
+        if (args.length === 0) return this.getPhaseSummary();
+        const phase = PHASES.find(name => name.toLowerCase() === args[0].toLowerCase());
+        if (!phase) return `Unknown phase "${args[0]}". Use ${PHASES.join(', ')}.`;
+        this.overridePhase(phase);
+        return this.getPhaseSummary();
+      }
+      case 'reload':
+        return this.reloadOptions();
+      case 'pardon': {
+        if (args.length === 0) return `Usage: !${this.options.adminCommand} pardon <name|id>`;
+        const target = args.join(' ');
+        if (!this.pardon(target)) return `No squad creation penalties found for "${target}".`;
+        return `Cleared squad creation attempts and cooldown for "${target}".`;
+      }
+      default:
+        return `Unknown subcommand "${subcommand}". Use status, extend <s>, lift, start [s], phase [name], pardon <name|id> or reload.`;
+    }
+  }
+
+  getStatusMessage() {
+    if (this.phase === 'dormant') {
+      return `Squad creation blocker is dormant (${this.getPlayerCount()} players online).`;
+    }
+
+    const cooldowns = [...this.playerCooldowns.keys()].filter(id => this.isPlayerInCooldown(id)).length;
+    return `${this.getBlockStatus()} Players on cooldown: ${cooldowns}.`;
+  }
+
+  getBlockStatus(playerID = null) {
+    if (!this.getPhasePolicy().blockCustomNames) return this.formatMessage('statusUnlocked', {}, playerID);
+    if (this.isRoundEnding && !this.blockTimeoutId) return this.formatMessage('statusRoundEnd', {}, playerID);
+    if (!this.isBlocking) return this.formatMessage('statusPhaseBlocked', {}, playerID);
+
+    const timeLeft = Math.max(0, Math.ceil((this.blockEndTime - Date.now()) / 1000));
+    return this.formatMessage('statusBlocked', { timeLeft }, playerID);
+  }
+
+  async handlePlayerCommand(info, commandName) {
+    const playerID = info.player?.eosID || info.player?.steamID || info.eosID || info.steamID;
+    if (!playerID || this.isPlayerCommandThrottled(playerID)) return;
+
+    await this.replyToPlayer(playerID, this.getPlayerCommandReply(commandName, playerID));
+  }
+
+  // Replies cost an RCON command each, so players can't use commands to spam RCON
+  isPlayerCommandThrottled(playerID) {
+    const now = Date.now();
+    if (now - (this.playerCommandTimes.get(playerID) || 0) < this.options.playerCommandCooldown * 1000) return true;
+    this.playerCommandTimes.set(playerID, now);
+    return false;
+  }
+
+  getPlayerCommandReply(commandName, playerID) {
+    switch (commandName) {
+      case 'unlock':
+        return [this.getBlockStatus(playerID), this.getSquadNamePolicy(playerID)].filter(Boolean).join(' ');
+      case 'cooldown':
+        return this.getCooldownMessage(playerID);
+      default:
+        return this.getRulesMessage(playerID);
+    }
+  }
+
+  getSquadNamePolicy(playerID = null) {
+    const policy = [];
+    if (!this.getPhasePolicy('blocked').blockDefaultNames) policy.push(this.formatMessage('policyDefaultNames', {}, playerID));
+
+    const whitelist = this.globalOptions.squadWhitelist;
+    if (whitelist.length > 5) {
+      policy.push(this.formatMessage('policyWhitelistMore', { names: whitelist.slice(0, 5).join(', '), more: whitelist.length - 5 }, playerID));
+    } else if (whitelist.length > 0) {
+      policy.push(this.formatMessage('policyWhitelist', { names: whitelist.join(', ') }, playerID));
+    }
+    return policy.join(' ');
+  }
+
+  getCooldownMessage(playerID) {
+    const { attempts, inCooldown, cooldownRemaining } = this.getPlayerStatus(playerID);
+    const cooldown = inCooldown
+      ? this.formatMessage('cooldownActive', { timeLeft: cooldownRemaining }, playerID)
+      : this.formatMessage('cooldownInactive', {}, playerID);
+    if (!this.options.enableRateLimiting) return cooldown;
+
+    const summary = this.formatMessage(this.options.kickThreshold > 0 ? 'attemptSummaryWithKick' : 'attemptSummary', {
+      attempts,
+      warningThreshold: this.options.warningThreshold,
+      kickThreshold: this.options.kickThreshold
+    }, playerID);
+    return `${cooldown} ${summary}`;
+  }
+
+  getRulesMessage(playerID = null) {
+    const rules = [];
+    if (this.options.blockDuration > 0) {
+      rules.push(this.formatMessage('rulesBlockWindow', { blockDuration: this.options.blockDuration }, playerID));
+    } else {
+      rules.push(this.formatMessage('rulesRoundEnd', {}, playerID));
+    }
+    if (this.options.enableRateLimiting) {
+      rules.push(this.formatMessage('rulesRateLimit', { warningThreshold: this.options.warningThreshold, cooldown: this.options.cooldownDuration }, playerID));
+      if (this.options.kickThreshold > 0) rules.push(this.formatMessage('rulesKick', { kickThreshold: this.options.kickThreshold }, playerID));
+    }
+    if (this.squadTags.length > 0 && this.globalOptions.requireSquadTag) {
+      rules.push(this.formatMessage('tagRequired', { tags: this.squadTags.map(tag => tag.tag).join(', ') }, playerID));
+    }
+    rules.push(this.getSquadNamePolicy(playerID));
+    return rules.filter(Boolean).join(' ');
+  }
+
+  findPlayerIDs(target) {
+    const lowerTarget = target.toLowerCase();
+    const players = this.server.players || [];
+    const player =
+      players.find(p => p.eosID === target || p.steamID === target) ||
+      players.find(p => p.name && p.name.toLowerCase() === lowerTarget) ||
+      players.find(p => p.name && p.name.toLowerCase().includes(lowerTarget));
+
+    if (!player) return [target];
+    return [player.eosID, player.steamID].filter(Boolean);
+  }
+
+  async handleReserveCommand(info, args) {
+    const playerID = info.player?.eosID || info.player?.steamID || info.eosID || info.steamID;
+    if (!playerID || this.isPlayerCommandThrottled(playerID)) return;
+
+    const reply = this.reserveSquadName(info.player || {}, playerID, args.join(' '));
+    await this.replyToPlayer(playerID, reply);
+  }
+
+  reserveSquadName(player, playerID, squadName) {
+    const reply = (key, values) => this.formatMessage(key, { squadName, ...values }, playerID);
+    if (!this.isBlocking || this.isRoundEnding) return reply('reserveOutsideWindow');
+    if (!squadName) return reply('reserveUsage', { command: this.options.reserveCommand });
+    if (this.isDefaultSquadName(squadName)) return reply('reserveDefaultName');
+    if (this.findNameFilterRule(squadName)) return reply('nameNotAllowed');
+
+    const normalizedName = this.normalizeSquadName(squadName);
+    if (!normalizedName) return reply('reserveInvalidName');
+
+    const teamReservations = (this.reservations.get(`${player.teamID}`) || []).filter(reservation => reservation.playerID !== playerID);
+    const existing = teamReservations.find(reservation => reservation.normalizedName === normalizedName);
+    if (existing) {
+      return reply('reserveTaken', { squadName: existing.squadName, owner: existing.playerName || reply('anotherPlayer') });
+    }
+    if (this.options.maxReservationsPerTeam > 0 && teamReservations.length >= this.options.maxReservationsPerTeam) {
+      return reply('reserveLimitReached');
+    }
+
+    teamReservations.push({ playerID, playerName: player.name || null, squadName, normalizedName });
+    this.reservations.set(`${player.teamID}`, teamReservations);
+    return reply('reserved', { position: teamReservations.length });
+  }
+
+  startReservationGracePeriod() {
+    if (this.reservations.size === 0) return;
+
+    this.reservationGraceEndTime = Date.now() + this.options.reservationGracePeriod * 1000;
+    clearTimeout(this.reservationTimeoutId);
+    this.reservationTimeoutId = setTimeout(() => {
+      this.clearReservations();
+      this.updatePolling();
+    }, this.options.reservationGracePeriod * 1000);
+    this.notifyReservations();
+    this.updatePolling();
+  }
+
+  isReservationGraceActive() {
+    return this.reservations.size > 0 && Date.now() < this.reservationGraceEndTime;
+  }
+
+  async notifyReservations() {
+    try {
+      for (const teamReservations of this.reservations.values()) {
+        for (const reservation of teamReservations) {
+          await this.warnPlayer(
+            reservation.playerID,
+            this.formatMessage('reservationReady', {
+              squadName: reservation.squadName,
+              timeLeft: this.options.reservationGracePeriod
+            }, reservation.playerID)
+          );
+        }
+      }
+    } catch (err) {
+      this.verbose(1, `Error notifying players about their reservations: ${err.message}`);
+    }
+  }
+
+  async enforceReservation(squad) {
+    if (!this.isReservationGraceActive()) return false;
+
+    const teamReservations = this.reservations.get(`${squad.teamID}`) || [];
+    const normalizedName = this.normalizeSquadName(squad.squadName);
+    const reservation = teamReservations.find(candidate => candidate.normalizedName === normalizedName);
+    if (!reservation) return false;
+
+    const creatorIDs = [squad.eosID, squad.steamID, squad.playerID].filter(Boolean);
+    if (creatorIDs.includes(reservation.playerID)) {
+      teamReservations.splice(teamReservations.indexOf(reservation), 1);
+      return false;
+    }
+
+    const timeLeft = Math.ceil((this.reservationGraceEndTime - Date.now()) / 1000);
+    await this.disbandSquad(squad, 'reserved');
+    await this.warnPlayer(
+      squad.playerID,
+      this.formatMessage('reservationHeld', {
+        squadName: reservation.squadName,
+        owner: reservation.playerName || this.formatMessage('anotherPlayer', {}, squad.playerID),
+        timeLeft
+      }, squad.playerID)
+    );
+    return true;
+  }
+
+  clearReservations() {
+    clearTimeout(this.reservationTimeoutId);
+    this.reservationTimeoutId = null;
+    this.reservations.clear();
+    this.reservationGraceEndTime = 0;
+  }
+
+  isDefaultSquadName(squadName) {
+    return /^[Ss]quad \d+$/.test(squadName);
+  }
+
+  isWhitelistedSquadName(squadName) {
+    return this.squadWhitelistPatterns.some(pattern => pattern.test(squadName));
+  }
+
+  compileNamePattern(pattern) {
+    const regexMatch = pattern.match(/^\/(.+)\/$/);
+    if (regexMatch) return new RegExp(regexMatch[1], 'i');
+
+    const escaped = escapeRegExp(pattern).replace(/\\\*/g, '.*').replace(/\\\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+  }
+
+  compileExemptions(rules) {
+    return rules.map(rule => ({
+      names: rule.names ? rule.names.map(name => this.compileNamePattern(name)) : null,
+      playerIDs: rule.playerIDs || null,
+      permissions: rule.permissions || null
+    }));
+  }
+
+  isExemptSquad(squad) {
+    if (this.isWhitelistedSquadName(squad.squadName)) return true;
+
+    const creatorIDs = [squad.eosID, squad.steamID, squad.playerID].filter(Boolean);
+    return this.exemptions.some(rule => {
+      if (rule.names && !rule.names.some(pattern => pattern.test(squad.squadName))) return false;
+      if (!rule.playerIDs && !rule.permissions) return true;
+
+      const isListedPlayer = !!rule.playerIDs && creatorIDs.some(id => rule.playerIDs.includes(id));
+      const hasPermission = !!rule.permissions && rule.permissions.some(permission => {
+        const admins = this.server.getAdminsWithPermission(permission);
+        return creatorIDs.some(id => admins.includes(id));
+      });
+      return isListedPlayer || hasPermission;
+    });
+  }
+
+  hasPlayersInCooldown() {
+    return [...this.playerCooldowns.keys()].some(id => this.isPlayerInCooldown(id));
+  }
+
+  isPlayerInCooldown(playerID) {
+    const cooldownEndTime = this.playerCooldowns.get(playerID);
+    if (!cooldownEndTime) return false;
+    if (Date.now() < cooldownEndTime) {
+      return true;
+    } else {
+      this.endCooldown(playerID, 'expired');
+      return false;
+    }
+  }
+
+  endCooldown(playerID, reason) {
+    this.playerCooldowns.delete(playerID);
+    this.clearCooldownWarning(playerID);
+    this.emitEvent('SQUAD_CREATION_COOLDOWN_ENDED', { player: this.getEventPlayer(playerID), reason });
+  }
+
+  compileNameFilterRules(rules) {
+    return rules.map(rule => ({
+      regex: rule.pattern ? new RegExp(rule.pattern, 'i') : null,
+      keywords: (rule.keywords || []).map(keyword => this.normalizeSquadName(keyword)).filter(Boolean),
+      action: rule.action || 'disband',
+      message: rule.message
+    }));
+  }
+
+  mapSquadNameCharacters(squadName) {
+    return squadName
+      .normalize('NFKC')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/./gu, char => HOMOGLYPHS[char] || LEETSPEAK[char] || char);
+  }
+
+  normalizeSquadName(squadName) {
+    return this.mapSquadNameCharacters(squadName).replace(/[^a-z0-9]/g, '');
+  }
+
+  getKeywordCandidates(squadName) {
+    // Keywords must match whole words, or words split up with spaces or punctuation (A.D.M.I.N), never part of a word
+    const words = this.mapSquadNameCharacters(squadName).split(/[^a-z0-9]+/).filter(Boolean);
+    const candidates = new Set();
+    for (let start = 0; start < words.length; start++) {
+      let candidate = '';
+      for (let end = start; end < words.length; end++) {
+        candidate += words[end];
+        candidates.add(candidate);
+      }
+    }
+    return candidates;
+  }
+
+  findNameFilterRule(squadName) {
+    if (this.nameFilterRules.length === 0) return null;
+
+    const normalizedName = this.normalizeSquadName(squadName);
+    const candidates = this.getKeywordCandidates(squadName);
+    return this.nameFilterRules.find(rule =>
+      (rule.regex && (rule.regex.test(squadName) || rule.regex.test(normalizedName))) ||
+      rule.keywords.some(keyword => candidates.has(keyword))
+    ) || null;
+  }
+
+  async enforceNameFilter(squad) {
+    const rule = this.findNameFilterRule(squad.squadName);
+    if (!rule) return false;
+
+    const message = rule.message || this.formatMessage('nameNotAllowed', { squadName: squad.squadName }, squad.playerID);
+    this.verbose(1, `Squad "${squad.squadName}" created by ${squad.playerID} matched a name filter rule (${rule.action}).`);
+
+    if (rule.action === 'warn') {
+      await this.warnPlayer(squad.playerID, message);
+      return false;
+    }
+
+    const countsAttempt = rule.action === 'rateLimit' && this.options.enableRateLimiting;
+    const { disbanded } = await this.disbandSquad(squad, 'nameFilter', { countsAttempt });
+
+    if (rule.action === 'kick') {
+      await this.sendCommand(`AdminKick "${squad.playerID}" ${this.formatMessage('nameFilterKickReason', {}, squad.playerID)}`);
+      this.matchStatistics.kicks++;
+      await this.logToDiscord('Player Kicked for Squad Name', this.getAuditFields(squad.playerID, squad));
+      this.emitEvent('SQUAD_CREATION_KICK', {
+        player: this.getEventPlayer(squad.playerID, squad),
+        squad: this.getEventSquad(squad),
+        reason: 'nameFilter',
+        banned: false
+      });
+      return true;
+    }
+
+    await this.warnPlayer(squad.playerID, message);
+    if (disbanded && countsAttempt) {
+      await this.processRateLimit(squad.playerID, squad);
+    }
+    return true;
+  }
+
+  compileSquadTags(tags) {
+    return tags.map(tag => ({
+      tag: tag.tag,
+      regex: new RegExp(tag.pattern || `^${escapeRegExp(tag.tag)}(?![a-z])`, 'i'),
+      maxPerTeam: tag.maxPerTeam || 0
+    }));
+  }
+
+  findSquadTag(squadName) {
+    return this.squadTags.find(tag => tag.regex.test(squadName)) || null;
+  }
+
+  async enforceNamingConvention(squad, squads = null) {
+    if (this.squadTags.length === 0 || this.isExemptSquad(squad) || this.isDefaultSquadName(squad.squadName)) return false;
+
+    const tag = this.findSquadTag(squad.squadName);
+    let message;
+    if (!tag) {
+      if (!this.options.requireSquadTag) return false;
+      message = this.formatMessage('tagRequired', { tags: this.squadTags.map(t => t.tag).join(', ') }, squad.playerID);
+    } else {
+      if (tag.maxPerTeam === 0) return false;
+
+      let teamSquads = squads;
+      if (!teamSquads) {
+        try {
+          teamSquads = await this.server.rcon.getSquads();
+        } catch (err) {
+          this.verbose(1, `Error checking squad quotas: ${err.message}`);
+          return false;
+        }
+      }
+
+      const tagCount = teamSquads.filter(other =>
+        `${other.teamID}` === `${squad.teamID}` &&
+        `${other.squadID}` !== `${squad.squadID}` &&
+        tag.regex.test(other.squadName)
+      ).length;
+      if (tagCount < tag.maxPerTeam) return false;
+      message = this.formatMessage('tagQuotaReached', { count: tagCount, tag: tag.tag, limit: tag.maxPerTeam }, squad.playerID);
+    }
+
+    this.verbose(1, `Squad "${squad.squadName}" created by ${squad.playerID} violates the naming convention: ${message}`);
+    const { disbanded } = await this.disbandSquad(squad, 'namingConvention', { countsAttempt: this.options.enableRateLimiting });
+    await this.warnPlayer(squad.playerID, message);
+    if (disbanded && this.options.enableRateLimiting) {
+      await this.processRateLimit(squad.playerID, squad);
+    }
+    return true;
+  }
+
+  getDuplicateNameKey(squadName) {
+    return squadName
+      .toLowerCase()
+      .replace(/[\s\p{P}\p{S}]+/gu, '')
+      .replace(/\d+$/, '');
+  }
+
+  async enforceUniqueSquadName(squad, squads = null) {
+    if (!this.options.preventDuplicateSquadNames || this.isExemptSquad(squad) || this.isDefaultSquadName(squad.squadName)) return false;
+
+    const nameKey = this.getDuplicateNameKey(squad.squadName);
+    if (!nameKey || this.repeatableSquadNames.has(nameKey)) return false;
+
+    let teamSquads = squads;
+    if (!teamSquads) {
+      try {
+        teamSquads = await this.server.rcon.getSquads();
+      } catch (err) {
+        this.verbose(1, `Error checking for duplicate squad names: ${err.message}`);
+        return false;
+      }
+    }
+
+    const duplicate = teamSquads.find(other =>
+      `${other.teamID}` === `${squad.teamID}` &&
+      `${other.squadID}` !== `${squad.squadID}` &&
+      this.getDuplicateNameKey(other.squadName) === nameKey
+    );
+    if (!duplicate) return false;
+
+    this.verbose(1, `Squad "${squad.squadName}" created by ${squad.playerID} duplicates squad ${duplicate.squadID} "${duplicate.squadName}".`);
+    const { disbanded } = await this.disbandSquad(squad, 'duplicateName', { countsAttempt: this.options.enableRateLimiting });
+    await this.warnPlayer(squad.playerID, this.formatMessage('duplicateName', { squadName: squad.squadName, existingName: duplicate.squadName }, squad.playerID));
+    if (disbanded && this.options.enableRateLimiting) {
+      await this.processRateLimit(squad.playerID, squad);
+    }
+    return true;
+  }
+
+  shouldPollContinuously() {
+    if (!this.getPhasePolicy().polling) return false;
+    return (this.options.enableRateLimiting && this.options.rateLimitingScope === 'entireMatch') ||
+      this.nameFilterRules.length > 0 ||
+      this.squadTags.length > 0 ||
+      this.options.preventDuplicateSquadNames ||
+      this.isReservationGraceActive();
+  }
+
+  shouldApplyRateLimit() {
+    return this.options.enableRateLimiting && this.getPhasePolicy().rateLimit;
+  }
+
+  async handleSquadCreated(info) {
+    if (this.phase === 'dormant') return;
+    this.fastPollUntil = Date.now() + this.options.fastPollDuration * 1000;
+    this.updatePolling();
+    const playerID = info.player.eosID || info.player.steamID;
+    const squad = {
+      teamID: info.player.teamID,
+      squadID: info.player.squadID,
+      squadName: info.squadName,
+      playerID,
+      playerName: info.player.name,
+      eosID: info.player.eosID,
+      steamID: info.player.steamID,
+      source: 'event'
+    };
+    if (await this.enforceNameFilter(squad)) return;
+    if (await this.enforceNamingConvention(squad)) return;
+    if (await this.enforceUniqueSquadName(squad)) return;
+    if (await this.enforceReservation(squad)) return;
+
+    const policy = this.getPhasePolicy();
+    const shouldBlock = policy.blockCustomNames || (this.shouldApplyRateLimit() && this.isPlayerInCooldown(playerID));
+    if (!shouldBlock) {
+      this.trackSquad(squad);
+      this.recordCustomSquadAfterUnlock(squad);
+      return;
+    }
+    if (this.isExemptSquad(squad)) return;
+    if (!policy.blockDefaultNames && this.isDefaultSquadName(info.squadName)) return;
+    if (await this.allowTrustedPlayer(squad)) return;
+
+    const countsAttempt = this.shouldApplyRateLimit();
+    const { disbanded } = await this.disbandSquad(squad, this.getBlockReason(), { countsAttempt });
+    if (!disbanded) return;
+
+    if (countsAttempt) {
+      await this.processRateLimit(playerID, squad);
+    } else if (policy.message && !(this.phase === 'blocked' && this.options.broadcastMode)) {
+      // Broadcast mode already announces the block window countdown
+      const timeLeft = Math.max(0, Math.ceil((this.blockEndTime - Date.now()) / 1000));
+      await this.warnPlayer(playerID, this.formatMessage(policy.message, { timeLeft, squadName: squad.squadName }, playerID));
+    }
+  }
+
+  getPlayerLocale(playerID) {
+    const { eosID, steamID } = this.getPlayerIdentity(playerID);
+    const locales = this.options.playerLocales;
+    return locales[playerID] || (eosID && locales[eosID]) || (steamID && locales[steamID]) || this.options.locale;
+  }
+
+  formatMessage(key, values = {}, playerID = null) {
+    const playerLocale = playerID ? this.getPlayerLocale(playerID) : this.options.locale;
+    const templateLocale = [playerLocale, this.options.locale].find(candidate => this.options.messages[candidate]?.[key] !== undefined);
+    const template = templateLocale ? this.options.messages[templateLocale][key] : DEFAULT_MESSAGES[key];
+    // Plural forms follow the language of the template actually used, which is English for the built-in text
+    const locale = templateLocale || 'en';
+    const allValues = { playerName: (playerID && this.findPlayer(playerID)?.name) || '', ...values };
+
+    return template.replace(/\{(\w+)((?:\|[^|}]*)+)?\}/g, (placeholder, name, forms) => {
+      if (!(name in allValues)) return placeholder;
+      if (forms !== undefined) return this.selectPluralForm(locale, Number(allValues[name]), forms.slice(1).split('|'));
+      return `${allValues[name] ?? ''}`;
+    });
+  }
+
+  // Forms are either named by plural category ("one:…", "few:…") or positional "one|other"
+  selectPluralForm(locale, count, forms) {
+    const category = this.getPluralRules(locale).select(count);
+    const namedForms = new Map(forms.map(form => form.match(PLURAL_FORM)).filter(Boolean).map(([, name, text]) => [name, text]));
+    if (namedForms.size > 0) return namedForms.get(category) ?? namedForms.get('other') ?? '';
+    return category === 'one' ? forms[0] : forms[forms.length - 1];
+  }
+
+  getPluralRules(locale) {
+    if (!this.pluralRules.has(locale)) {
+      let rules;
+      try {
+        rules = new Intl.PluralRules(locale);
+      } catch (err) {
+        this.verbose(1, `Unknown locale "${locale}", using English plural rules: ${err.message}`);
+        rules = new Intl.PluralRules('en');
       }
-    };
+      this.pluralRules.set(locale, rules);
+    }
+    return this.pluralRules.get(locale);
   }
 
-  constructor(server, options, connectors) {
-    super(server, options, connectors);
-    this.isBlocking = false;
-    this.isRoundEnding = false;
-    this.blockDurationMs = this.options.blockDuration * 1000;
-    this.blockEndTime = 0;
-    this.blockTimeoutId = null;
-    this.broadcastTimeouts = [];
-    this.playerAttempts = new Map();
-    this.playerCooldowns = new Map();
-    this.pollIntervalId = null;
-    this.isPollRunning = false;
-    this.cooldownWarningTimeouts = new Map();
-    this.knownSquads = new Set();
-    this.bindEventHandlers();
+  async sendCommand(command) {
+    if (this.options.dryRun) return this.recordDryRunAction(command.split(' ')[0], { command });
+
+    const commandName = command.split(' ')[0];
+    let priority = RCON_PRIORITIES.warn;
+    if (commandName === 'AdminDisbandSquad') priority = RCON_PRIORITIES.disband;
+    if (commandName === 'AdminKick' || commandName === 'AdminBan') priority = RCON_PRIORITIES.kick;
+    return this.enqueueRcon(priority, () => this.server.rcon.execute(command));
   }
 
-  bindEventHandlers() {
-    this.handleNewGame = this.handleNewGame.bind(this);
-    this.handleSquadCreated = this.handleSquadCreated.bind(this);
-    this.handleRoundEnd = this.handleRoundEnd.bind(this);
-    this.pollSquads = this.pollSquads.bind(this);
+  async warnPlayer(playerID, message, { reminder = false, isCurrent = null } = {}) {
+    if (this.options.dryRun) return this.recordDryRunAction('warn', { playerID, message });
+    return this.queueWarn(playerID, message, reminder ? RCON_PRIORITIES.reminder : RCON_PRIORITIES.warn, isCurrent);
   }
 
-  async mount() {
-    this.server.on('NEW_GAME', this.handleNewGame);
-    this.server.on('SQUAD_CREATED', this.handleSquadCreated);
-    this.server.on('ROUND_ENDED', this.handleRoundEnd);
-    
-    if (this.options.enableRateLimiting && this.options.rateLimitingScope === 'entireMatch') {
-      this.startPolling();
+  async replyToPlayer(playerID, message) {
+    return this.queueWarn(playerID, message, RCON_PRIORITIES.warn);
+  }
+
+  async broadcastMessage(message, { reminder = false, isCurrent = null } = {}) {
+    if (this.options.dryRun) return this.recordDryRunAction('broadcast', { message });
+    return this.enqueueRcon(reminder ? RCON_PRIORITIES.reminder : RCON_PRIORITIES.warn, () => this.server.rcon.broadcast(message), { isCurrent });
+  }
+
+  queueWarn(playerID, message, priority, isCurrent = null) {
+    const now = Date.now();
+    const windowMs = this.options.warnCoalesceWindow * 1000;
+    for (const [key, time] of this.recentWarns) {
+      if (now - time >= windowMs) this.recentWarns.delete(key);
     }
+
+    const key = `${playerID}\n${message}`;
+    if (this.recentWarns.has(key) || this.rconQueue.some(item => item.key === key)) return Promise.resolve(false);
+    if (windowMs > 0) this.recentWarns.set(key, now);
+    return this.enqueueRcon(priority, () => this.server.rcon.warn(playerID, message), { key, isCurrent });
   }
 
-  async unmount() {
-    clearTimeout(this.blockTimeoutId);
-    this.clearBroadcasts();
-    this.clearCooldownWarnings();
-    this.stopPolling();
-    this.server.removeEventListener('NEW_GAME', this.handleNewGame);
-    this.server.removeEventListener('SQUAD_CREATED', this.handleSquadCreated);
-    this.server.removeEventListener('ROUND_ENDED', this.handleRoundEnd);
+  enqueueRcon(priority, send, { key = null, isCurrent = null } = {}) {
+    return new Promise((resolve, reject) => {
+      this.rconQueue.push({ priority, send, key, isCurrent, queuedAt: Date.now(), sequence: this.rconSequence++, resolve, reject });
+      this.rconQueue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+      this.processRconQueue();
+    });
   }
 
-  async handleNewGame() {
-    clearTimeout(this.blockTimeoutId);
-    this.isBlocking = true;
-    this.isRoundEnding = false;
-    this.blockEndTime = Date.now() + this.blockDurationMs;
+  isStaleRconItem(item) {
+    if (item.isCurrent && !item.isCurrent()) return true;
+    return item.priority === RCON_PRIORITIES.reminder && Date.now() - item.queuedAt > REMINDER_MAX_DELAY;
+  }
 
-    if (this.options.rateLimitingScope === 'blockingPeriodOnly') {
-      this.resetRateLimitingData();
+  async processRconQueue() {
+    if (this.isRconQueueRunning) return;
+    this.isRconQueueRunning = true;
+
+    try {
+      while (this.rconQueue.length > 0) {
+        const interval = this.options.rconCommandsPerSecond > 0 ? 1000 / this.options.rconCommandsPerSecond : 0;
+        const wait = this.lastRconSendTime + interval - Date.now();
+        if (wait > 0) await this.delay(wait);
+
+        const item = this.rconQueue.shift();
+        if (!item) break;
+        if (this.isStaleRconItem(item)) {
+          item.resolve(false);
+          continue;
+        }
+
+        this.lastRconSendTime = Date.now();
+        try {
+          item.resolve(await item.send());
+        } catch (err) {
+          item.reject(err);
+        }
+      }
+    } finally {
+      this.isRconQueueRunning = false;
     }
+  }
 
-    await this.initializeKnownSquads();
+  clearRconQueue() {
+    for (const item of this.rconQueue) item.resolve(false);
+    this.rconQueue = [];
+    this.recentWarns.clear();
+  }
 
-    this.clearBroadcasts();
-    if (this.options.broadcastMode) {
-      this.scheduleBroadcasts();
+  createDryRunReport() {
+    return { startedAt: new Date().toISOString(), layer: this.server.currentLayer?.name || null, actions: [] };
+  }
+
+  recordDryRunAction(type, details) {
+    this.dryRunReport.actions.push({ time: new Date().toISOString(), type, ...details });
+    this.verbose(1, `[Dry run] Would send ${type}: ${details.command || `${details.playerID ? `${details.playerID} ` : ''}"${details.message}"`}`);
+  }
+
+  async finishDryRunReport() {
+    const report = { ...this.dryRunReport, endedAt: new Date().toISOString(), totals: {} };
+    for (const action of report.actions) {
+      report.totals[action.type] = (report.totals[action.type] || 0) + 1;
     }
+    this.lastDryRunReport = report;
+    this.dryRunReport = this.createDryRunReport();
 
-    if (this.options.enableRateLimiting && this.options.rateLimitingScope === 'blockingPeriodOnly') {
-      this.startPolling();
+    this.verbose(1, `[Dry run] Round report: ${JSON.stringify(report.totals)}`);
+    if (!this.options.dryRunReportFile) return;
+    try {
+      await fs.promises.writeFile(this.options.dryRunReportFile, JSON.stringify(report, null, 2));
+    } catch (err) {
+      this.verbose(1, `Error writing dry run report to ${this.options.dryRunReportFile}: ${err.message}`);
     }
+  }
 
-    this.blockTimeoutId = setTimeout(() => {
-      this.isBlocking = false;
-      this.server.rcon.broadcast('Custom squad creation is now unlocked!');
-      if (this.options.enableRateLimiting && this.options.rateLimitingScope === 'blockingPeriodOnly') {
-        this.stopPolling();
-      }
-    }, this.blockDurationMs);
+  getDryRunReport() {
+    return this.lastDryRunReport;
   }
 
-  handleRoundEnd() {
-    this.isBlocking = true;
-    this.isRoundEnding = true;
-    this.clearBroadcasts();
-    if (this.options.rateLimitingScope === 'blockingPeriodOnly') {
-      this.resetRateLimitingData();
-    }
+  createMatchStatistics(layer = null) {
+    return {
+      layer,
+      startedAt: Date.now(),
+      unlockedAt: null,
+      firstCustomSquadAt: null,
+      blockedAttempts: { event: 0, poll: 0 },
+      disbands: 0,
+      failedDisbands: 0,
+      cooldowns: 0,
+      kicks: 0,
+      bans: 0,
+      offenders: new Map()
+    };
   }
 
-  isDefaultSquadName(squadName) {
-    return /^[Ss]quad \d+$/.test(squadName);
+  recordOffenderStatistic(playerID, squad = {}) {
+    const offender = this.matchStatistics.offenders.get(playerID) || { playerID, name: null, attempts: 0 };
+    offender.name = squad.playerName || offender.name || this.findPlayer(playerID)?.name || null;
+    offender.attempts++;
+    this.matchStatistics.offenders.set(playerID, offender);
   }
 
-  isWhitelistedSquadName(squadName) {
-    const lowerSquadName = squadName.toLowerCase();
-    return this.options.squadWhitelist.some(whitelistedName => whitelistedName.toLowerCase() === lowerSquadName);
+  recordCustomSquadAfterUnlock(squad) {
+    const stats = this.matchStatistics;
+    if (this.isBlocking || !stats.unlockedAt || stats.firstCustomSquadAt) return;
+    if (this.isDefaultSquadName(squad.squadName)) return;
+    stats.firstCustomSquadAt = Date.now();
   }
 
-  isPlayerInCooldown(playerID) {
-    const cooldownEndTime = this.playerCooldowns.get(playerID);
-    if (!cooldownEndTime) return false;
-    if (Date.now() < cooldownEndTime) {
-      return true;
-    } else {
-      this.playerCooldowns.delete(playerID);
-      this.clearCooldownWarning(playerID);
-      return false;
+  getMatchSummary() {
+    const stats = this.matchStatistics;
+    const toISO = time => (time ? new Date(time).toISOString() : null);
+    return {
+      layer: stats.layer,
+      startedAt: toISO(stats.startedAt),
+      endedAt: new Date().toISOString(),
+      blockDuration: this.options.blockDuration,
+      warningThreshold: this.options.warningThreshold,
+      kickThreshold: this.options.kickThreshold,
+      blockedAttempts: { ...stats.blockedAttempts, total: stats.blockedAttempts.event + stats.blockedAttempts.poll },
+      disbands: stats.disbands,
+      failedDisbands: stats.failedDisbands,
+      cooldowns: stats.cooldowns,
+      kicks: stats.kicks,
+      bans: stats.bans,
+      topOffenders: [...stats.offenders.values()].sort((a, b) => b.attempts - a.attempts).slice(0, 5),
+      firstCustomSquadAfterUnlock: stats.unlockedAt && stats.firstCustomSquadAt
+        ? Math.round((stats.firstCustomSquadAt - stats.unlockedAt) / 1000)
+        : null
+    };
+  }
+
+  async finishMatchStatistics() {
+    const summary = this.getMatchSummary();
+    this.lastMatchStatistics = summary;
+    this.matchStatistics = this.createMatchStatistics(summary.layer);
+
+    this.verbose(
+      1,
+      `Match summary: ${summary.blockedAttempts.total} blocked attempts (${summary.blockedAttempts.event} event, ${summary.blockedAttempts.poll} poll), ` +
+        `${summary.disbands} disbands, ${summary.cooldowns} cooldowns, ${summary.kicks} kicks, ${summary.bans} bans, ` +
+        `first custom squad ${summary.firstCustomSquadAfterUnlock ?? '-'}s after unlock.`
+    );
+    if (!this.options.statisticsFile) return;
+    try {
+      await fs.promises.appendFile(this.options.statisticsFile, `${JSON.stringify(summary)}\n`);
+    } catch (err) {
+      this.verbose(1, `Error writing match statistics to ${this.options.statisticsFile}: ${err.message}`);
     }
   }
 
-  shouldApplyRateLimit() {
-    if (!this.options.enableRateLimiting) return false;
-    
-    if (this.options.rateLimitingScope === 'entireMatch') return true;
-    if (this.options.rateLimitingScope === 'blockingPeriodOnly') return this.isBlocking;
-    
-    return false;
+  getBlockReason() {
+    if (!this.getPhasePolicy().blockCustomNames) return 'cooldown';
+    if (this.isRoundEnding) return 'roundEnd';
+    return this.phase === 'blocked' ? 'blockWindow' : this.phase;
   }
 
-  async handleSquadCreated(info) {
-    const playerID = info.player.eosID || info.player.steamID;
-    const shouldBlock = this.isBlocking || (this.shouldApplyRateLimit() && this.isPlayerInCooldown(playerID));
-    if (!shouldBlock) return;
-    if (this.isWhitelistedSquadName(info.squadName)) return;
-    if (this.options.allowDefaultSquadNames && this.isDefaultSquadName(info.squadName)) return;
+  async disbandSquad(squad, reason = 'blockWindow', { countsAttempt = false } = {}) {
+    // The event and the poll can both report one squad. When the other source already disbanded it, only act if the squad is really back.
+    const slot = `${squad.teamID}-${squad.squadID}`;
+    const source = squad.source === 'poll' ? 'poll' : 'event';
+    const handled = this.disbandedSquads.get(slot);
+    if (handled && handled.playerID === squad.playerID && handled.squadName === squad.squadName) {
+      if (handled.pending) return { disbanded: false, attempts: 0, error: null };
+      if (handled.source !== source) {
+        this.disbandedSquads.delete(slot);
+        if (this.options.dryRun || (await this.getSquadState(squad)) !== 'present') return { disbanded: false, attempts: 0, error: null };
+      }
+    }
+    const claim = { playerID: squad.playerID, squadName: squad.squadName, source, pending: true };
+    this.disbandedSquads.set(slot, claim);
+    try {
+      return await this.sendDisband(squad, reason, countsAttempt);
+    } finally {
+      claim.pending = false;
+      // A dry-run disband leaves the squad in place, so the poll must not pick it up as new
+      if (this.options.dryRun) this.trackSquad(squad);
+    }
+  }
 
-    await this.server.rcon.execute(`AdminDisbandSquad ${info.player.teamID} ${info.player.squadID}`);
+  async sendDisband(squad, reason, countsAttempt) {
+    const source = squad.source === 'poll' ? 'poll' : 'event';
+    this.matchStatistics.blockedAttempts[source]++;
+    const command = `AdminDisbandSquad ${squad.teamID} ${squad.squadID}`;
+    const maxAttempts = this.options.verifyDisbands && !this.options.dryRun ? this.options.disbandRetries + 1 : 1;
+    let error = null;
 
-    if (this.shouldApplyRateLimit()) {
-      await this.processRateLimit(playerID);
-    } else {
-      if (this.isRoundEnding) {
-        await this.server.rcon.warn(playerID, "You are not allowed to create a custom squad at the end of a round.");
-      } else if (!this.options.broadcastMode) {
-        const timeLeft = Math.ceil((this.blockEndTime - Date.now()) / 1000);
-        await this.server.rcon.warn(playerID, `Please wait for ${timeLeft} second${timeLeft !== 1 ? 's' : ''} before creating a custom squad. Default names (e.g. "Squad 1") are allowed.`);
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (attempt > 1) {
+        await this.delay(this.options.disbandRetryDelay * 1000 * Math.pow(2, attempt - 2));
+        // Check again before resending so a squad ID reused in the meantime is never disbanded
+        const state = await this.getSquadState(squad);
+        if (state === 'gone' || state === 'replaced') return this.completeDisband(squad, reason, attempt - 1, countsAttempt);
+        if (state === 'unknown') continue;
       }
+
+      try {
+        await this.sendCommand(command);
+      } catch (err) {
+        error = err.message;
+        this.verbose(1, `Error disbanding squad ${squad.teamID}-${squad.squadID} (attempt ${attempt}): ${err.message}`);
+        continue;
+      }
+
+      if (maxAttempts === 1) return this.completeDisband(squad, reason, attempt, countsAttempt);
+
+      const state = await this.getSquadState(squad);
+      if (state === 'gone' || state === 'replaced') return this.completeDisband(squad, reason, attempt, countsAttempt);
+      error = state === 'present' ? 'squad still exists after disband' : 'could not verify disband';
+      this.verbose(1, `Disband of squad ${squad.teamID}-${squad.squadID} "${squad.squadName}" not confirmed (attempt ${attempt}): ${error}`);
+    }
+
+    this.verbose(1, `Giving up on disbanding squad ${squad.teamID}-${squad.squadID} "${squad.squadName}" after ${maxAttempts} attempt${maxAttempts !== 1 ? 's' : ''}: ${error}`);
+    await this.logToDiscord('Squad Disband Failed', [
+      ...this.getAuditFields(squad.playerID, squad),
+      { name: 'Error', value: error || 'Unknown', inline: false }
+    ]);
+    this.matchStatistics.failedDisbands++;
+    return { disbanded: false, attempts: maxAttempts, error };
+  }
+
+  async completeDisband(squad, reason, attempts, countsAttempt) {
+    this.matchStatistics.disbands++;
+    if (reason === 'blockWindow') this.countdownPlayers.add(squad.playerID);
+    // Posted before the caller records the attempt, so include it in the count
+    const attemptCount = (this.playerAttempts.get(squad.playerID) || 0) + (countsAttempt ? 1 : 0);
+    await this.logToDiscord('Squad Disbanded', this.getAuditFields(squad.playerID, squad, attemptCount));
+    this.emitEvent('SQUAD_CREATION_BLOCKED', {
+      player: this.getEventPlayer(squad.playerID, squad),
+      squad: this.getEventSquad(squad),
+      reason
+    });
+    return { disbanded: true, attempts, error: null };
+  }
+
+  async getSquadState(squad) {
+    let squads;
+    try {
+      squads = await this.server.rcon.getSquads();
+    } catch (err) {
+      this.verbose(1, `Error verifying squad ${squad.teamID}-${squad.squadID}: ${err.message}`);
+      return 'unknown';
     }
+
+    const current = squads.find(other => `${other.teamID}` === `${squad.teamID}` && `${other.squadID}` === `${squad.squadID}`);
+    if (!current) return 'gone';
+
+    const creatorIDs = [squad.eosID, squad.steamID, squad.playerID].filter(Boolean);
+    const currentCreatorIDs = [current.creatorEOSID, current.creatorSteamID].filter(Boolean);
+    const sameCreator = currentCreatorIDs.length === 0 || currentCreatorIDs.some(id => creatorIDs.includes(id));
+    return current.squadName === squad.squadName && sameCreator ? 'present' : 'replaced';
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async processRateLimit(playerID) {
+  async processRateLimit(playerID, squad = {}) {
+    const now = Date.now();
     const currentAttempts = (this.playerAttempts.get(playerID) || 0) + 1;
     this.playerAttempts.set(playerID, currentAttempts);
+    this.recordAttemptTime(playerID, now);
+    this.recordOffenderStatistic(playerID, squad);
+    await this.recordOffense(playerID, 'attempt');
+
+    const offenderLevel = await this.getOffenderLevel(playerID);
+    const thresholdReduction = offenderLevel * this.options.repeatOffenderThresholdStep;
+    const warningThreshold = Math.max(0, this.options.warningThreshold - thresholdReduction);
+    const kickThreshold = this.options.kickThreshold > 0 ? Math.max(1, this.options.kickThreshold - thresholdReduction) : 0;
+    const kickAttempts = this.options.kickWindow > 0 ? this.countRecentAttempts(playerID, this.options.kickWindow, now) : currentAttempts;
+    const { exceeded, remaining } = this.consumeAttempt(playerID, currentAttempts, warningThreshold, now);
 
-    if (this.options.kickThreshold > 0 && currentAttempts >= this.options.kickThreshold) {
-      await this.server.rcon.execute(`AdminKick "${playerID}" Excessive squad creation spam`);
-      this.resetPlayerData(playerID);
+    if (kickThreshold > 0 && kickAttempts >= kickThreshold) {
+      if (this.options.repeatOffenderBanThreshold > 0 && offenderLevel >= this.options.repeatOffenderBanThreshold) {
+        await this.sendCommand(`AdminBan "${playerID}" ${this.options.repeatOffenderBanDuration} ${this.formatMessage('banReason', {}, playerID)}`);
+        await this.recordOffense(playerID, 'ban');
+        this.matchStatistics.bans++;
+        await this.logToDiscord('Player Banned for Squad Creation Spam', [
+          ...this.getAuditFields(playerID, squad, currentAttempts),
+          { name: 'Ban Length', value: this.options.repeatOffenderBanDuration, inline: true }
+        ]);
+      } else {
+        await this.sendCommand(`AdminKick "${playerID}" ${this.formatMessage('kickReason', {}, playerID)}`);
+        await this.recordOffense(playerID, 'kick');
+        this.matchStatistics.kicks++;
+        await this.logToDiscord('Player Kicked for Squad Creation Spam', this.getAuditFields(playerID, squad, currentAttempts));
+      }
+      this.emitEvent('SQUAD_CREATION_KICK', {
+        player: this.getEventPlayer(playerID, squad),
+        squad: this.getEventSquad(squad),
+        reason: 'spam',
+        banned: this.options.repeatOffenderBanThreshold > 0 && offenderLevel >= this.options.repeatOffenderBanThreshold,
+        attempts: currentAttempts
+      });
+      this.offenderLevels.delete(playerID);
+      this.resetPlayerData(playerID, 'kicked');
       return;
     }
 
-    if (currentAttempts > this.options.warningThreshold) {
-      const cooldownEndTime = Date.now() + (this.options.cooldownDuration * 1000);
+    if (exceeded) {
+      const cooldownDuration = Math.round(this.options.cooldownDuration * Math.pow(this.options.repeatOffenderCooldownMultiplier, offenderLevel));
+      const cooldownEndTime = Date.now() + (cooldownDuration * 1000);
       // resetOnAttempt lets spammers extend their own cooldown; without it, the first trigger is the only one
       if (this.options.resetOnAttempt || !this.isPlayerInCooldown(playerID)) {
         this.playerCooldowns.set(playerID, cooldownEndTime);
-        await this.server.rcon.warn(playerID, `You are on cooldown for ${this.options.cooldownDuration}s due to squad creation spam. Stop spamming or you will be kicked!`);
+        this.updatePolling();
+        this.matchStatistics.cooldowns++;
+        await this.recordOffense(playerID, 'cooldown');
+        await this.warnPlayer(playerID, this.formatMessage('cooldownStarted', { cooldown: cooldownDuration, squadName: squad.squadName }, playerID));
         this.startCooldownWarning(playerID);
+        this.emitEvent('SQUAD_CREATION_COOLDOWN_STARTED', {
+          player: this.getEventPlayer(playerID, squad),
+          squad: this.getEventSquad(squad),
+          reason: 'spam',
+          attempts: currentAttempts,
+          cooldownDuration,
+          cooldownEndTime: new Date(cooldownEndTime)
+        });
+        await this.logToDiscord('Squad Creation Cooldown', [
+          ...this.getAuditFields(playerID, squad, currentAttempts),
+          { name: 'Cooldown', value: `${cooldownDuration}s`, inline: true }
+        ]);
       }
     } else {
-      const remaining = this.options.warningThreshold - currentAttempts + 1;
-      await this.server.rcon.warn(playerID, `Warning: Stop spamming squad creation! ${remaining} more attempt${remaining !== 1 ? 's' : ''} before cooldown.`);
+      await this.warnPlayer(playerID, this.formatMessage('spamWarning', { remaining, squadName: squad.squadName }, playerID));
+    }
+  }
+
+  recordAttemptTime(playerID, now) {
+    const retentionMs = Math.max(this.options.rateLimitWindow, this.options.kickWindow) * 1000;
+    const attemptTimes = (this.playerAttemptTimes.get(playerID) || []).filter(time => now - time < retentionMs);
+    attemptTimes.push(now);
+    this.playerAttemptTimes.set(playerID, attemptTimes);
+  }
+
+  countRecentAttempts(playerID, windowSeconds, now = Date.now()) {
+    const attemptTimes = this.playerAttemptTimes.get(playerID) || [];
+    return attemptTimes.filter(time => now - time < windowSeconds * 1000).length;
+  }
+
+  consumeAttempt(playerID, currentAttempts, warningThreshold, now) {
+    if (this.options.rateLimitMode === 'slidingWindow') {
+      const windowAttempts = this.countRecentAttempts(playerID, this.options.rateLimitWindow, now);
+      return { exceeded: windowAttempts > warningThreshold, remaining: warningThreshold - windowAttempts + 1 };
+    }
+
+    if (this.options.rateLimitMode === 'tokenBucket') {
+      const bucket = this.playerTokens.get(playerID) || { tokens: warningThreshold, updatedAt: now };
+      const refilled = (now - bucket.updatedAt) / (this.options.tokenRefillInterval * 1000);
+      const tokens = Math.min(warningThreshold, bucket.tokens + refilled);
+      if (tokens < 1) {
+        this.playerTokens.set(playerID, { tokens, updatedAt: now });
+        return { exceeded: true, remaining: 0 };
+      }
+      this.playerTokens.set(playerID, { tokens: tokens - 1, updatedAt: now });
+      return { exceeded: false, remaining: Math.floor(tokens - 1) + 1 };
+    }
+
+    return { exceeded: currentAttempts > warningThreshold, remaining: warningThreshold - currentAttempts + 1 };
+  }
+
+  isOffenderHistoryEnabled() {
+    return this.options.enableOffenderHistory && !!this.database;
+  }
+
+  findPlayer(playerID) {
+    return (this.server.players || []).find(p => p.eosID === playerID || p.steamID === playerID);
+  }
+
+  getPlayerIdentity(playerID) {
+    const player = this.findPlayer(playerID);
+    return {
+      playerID,
+      eosID: player?.eosID || (/^[0-9a-f]{32}$/i.test(playerID) ? playerID : null),
+      steamID: player?.steamID || (/^\d{17}$/.test(playerID) ? playerID : null)
+    };
+  }
+
+  async recordOffense(playerID, type) {
+    // Simulated sanctions must not count toward real escalation once dry run is switched off
+    if (this.options.dryRun) return;
+    if (type !== 'attempt') {
+      await this.updateTrust(playerID, { trust: -this.options.trustViolationPenalty, violations: 1 });
+    }
+    if (!this.isOffenderHistoryEnabled()) return;
+
+    try {
+      await this.models.Offense.create({ ...this.getPlayerIdentity(playerID), type, time: new Date() });
+    } catch (err) {
+      this.verbose(1, `Error recording ${type} for ${playerID}: ${err.message}`);
+    }
+  }
+
+  async getOffenderLevel(playerID) {
+    if (!this.isOffenderHistoryEnabled()) return 0;
+    if (this.offenderLevels.has(playerID)) return this.offenderLevels.get(playerID);
+
+    const { eosID, steamID } = this.getPlayerIdentity(playerID);
+    const ids = [playerID, eosID, steamID].filter(Boolean);
+    let level = 0;
+    try {
+      level = await this.models.Offense.count({
+        where: {
+          type: ['kick', 'ban'],
+          time: { [Op.gte]: new Date(Date.now() - this.options.offenderHistoryLookback * 24 * 60 * 60 * 1000) },
+          [Op.or]: [{ playerID: ids }, { eosID: ids }, { steamID: ids }]
+        }
+      });
+    } catch (err) {
+      this.verbose(1, `Error loading offender history for ${playerID}: ${err.message}`);
+    }
+
+    this.offenderLevels.set(playerID, level);
+    return level;
+  }
+
+  isTrustEnabled() {
+    return this.options.enableTrust && !!this.database;
+  }
+
+  handlePlayerConnected(info) {
+    const playerID = info.player?.eosID || info.player?.steamID || info.eosID || info.steamID;
+    if (playerID) this.playerJoinTimes.set(playerID, Date.now());
+  }
+
+  findTrustRecord(playerID) {
+    const { eosID, steamID } = this.getPlayerIdentity(playerID);
+    const ids = [playerID, eosID, steamID].filter(Boolean);
+    return this.models.Trust.findOne({ where: { [Op.or]: [{ eosID: ids }, { steamID: ids }] } });
+  }
+
+  async getTrust(playerID) {
+    if (!this.isTrustEnabled()) return 0;
+    if (this.trustScores.has(playerID)) return this.trustScores.get(playerID);
+
+    let trust = 0;
+    try {
+      trust = (await this.findTrustRecord(playerID))?.trust || 0;
+    } catch (err) {
+      this.verbose(1, `Error loading trust for ${playerID}: ${err.message}`);
+    }
+
+    this.trustScores.set(playerID, trust);
+    return trust;
+  }
+
+  async updateTrust(playerID, { trust = 0, cleanMatches = 0, secondsPlayed = 0, violations = 0 }) {
+    if (!this.isTrustEnabled() || this.options.dryRun) return;
+
+    const { eosID, steamID } = this.getPlayerIdentity(playerID);
+    try {
+      const record = (await this.findTrustRecord(playerID)) || this.models.Trust.build({ trust: 0, cleanMatches: 0, secondsPlayed: 0, violations: 0 });
+      record.set({
+        eosID: eosID || record.eosID,
+        steamID: steamID || record.steamID,
+        trust: Math.max(0, record.trust + trust),
+        cleanMatches: record.cleanMatches + cleanMatches,
+        secondsPlayed: record.secondsPlayed + secondsPlayed,
+        violations: record.violations + violations,
+        lastSeen: new Date()
+      });
+      await record.save();
+      this.trustScores.set(playerID, record.trust);
+    } catch (err) {
+      this.verbose(1, `Error updating trust for ${playerID}: ${err.message}`);
+    }
+  }
+
+  async awardTrust() {
+    if (!this.isTrustEnabled()) return;
+
+    const now = Date.now();
+    for (const player of this.server.players || []) {
+      const playerID = player.eosID || player.steamID;
+      if (!playerID) continue;
+
+      const joinedAt = Math.max(this.playerJoinTimes.get(playerID) || 0, this.matchStatistics.startedAt);
+      const secondsPlayed = Math.max(0, Math.round((now - joinedAt) / 1000));
+      const cleanMatch = secondsPlayed >= this.options.trustMinimumMatchTime && !this.matchStatistics.offenders.has(playerID);
+      await this.updateTrust(playerID, {
+        trust: (cleanMatch ? this.options.trustPerCleanMatch : 0) + (secondsPlayed / 3600) * this.options.trustPerHourPlayed,
+        cleanMatches: cleanMatch ? 1 : 0,
+        secondsPlayed
+      });
+    }
+  }
+
+  async allowTrustedPlayer(squad) {
+    if (!this.isTrustEnabled() || !this.isBlocking || this.isRoundEnding || this.isPlayerInCooldown(squad.playerID)) return false;
+    if ((await this.getTrust(squad.playerID)) < this.options.trustedPlayerLevel) return false;
+
+    // The first squad per window is free; any more count toward the rate limit like other attempts
+    const creations = (this.trustedCreations.get(squad.playerID) || 0) + 1;
+    this.trustedCreations.set(squad.playerID, creations);
+    if (creations > 1 && this.shouldApplyRateLimit()) {
+      await this.processRateLimit(squad.playerID, squad);
+      if (this.isPlayerInCooldown(squad.playerID)) {
+        await this.disbandSquad(squad, 'cooldown');
+        if (!this.options.dryRun) this.untrackSquad(squad);
+        return true;
+      }
+    }
+
+    this.verbose(1, `Allowed trusted player ${squad.playerName || squad.playerID} to create squad "${squad.squadName}" during the block window.`);
+    this.trackSquad(squad);
+    return true;
+  }
+
+  getAuditFields(playerID, squad = {}, attempts = this.playerAttempts.get(playerID)) {
+    const { eosID, steamID } = this.getPlayerIdentity(playerID);
+    const playerName = squad.playerName || this.findPlayer(playerID)?.name;
+    return [
+      { name: 'Player', value: playerName || 'Unknown', inline: true },
+      { name: 'EOS ID', value: eosID || 'Unknown', inline: true },
+      { name: 'Steam ID', value: steamID || 'Unknown', inline: true },
+      { name: 'Squad', value: squad.squadName || 'Unknown', inline: true },
+      { name: 'Team', value: squad.teamID != null ? `${squad.teamID}` : 'Unknown', inline: true },
+      { name: 'Attempts', value: `${attempts || 0}`, inline: true }
+    ];
+  }
+
+  async logToDiscord(title, fields) {
+    if (!this.discordChannel || this.options.dryRun) return;
+
+    try {
+      await this.discordChannel.send({
+        embeds: [{ title, color: this.options.color, fields, timestamp: new Date().toISOString() }]
+      });
+    } catch (err) {
+      this.verbose(1, `Error posting "${title}" to Discord: ${err.message}`);
+    }
+  }
+
+  emitEvent(eventName, payload) {
+    if (this.options.dryRun) return;
+    this.server.emit(eventName, { time: new Date(), ...payload });
+  }
+
+  getEventPlayer(playerID, squad = {}) {
+    const { eosID, steamID } = this.getPlayerIdentity(playerID);
+    return {
+      name: squad.playerName || this.findPlayer(playerID)?.name || null,
+      eosID: squad.eosID || eosID,
+      steamID: squad.steamID || steamID
+    };
+  }
+
+  getEventSquad(squad) {
+    if (squad.squadID == null) return null;
+    return { teamID: squad.teamID, squadID: squad.squadID, squadName: squad.squadName };
+  }
+
+  isBlockingActive() {
+    return this.getPhasePolicy().blockCustomNames;
+  }
+
+  getPlayerStatus(playerID) {
+    const key = this.findPlayerIDs(playerID).find(id => this.playerAttempts.has(id) || this.playerCooldowns.has(id));
+    const inCooldown = !!key && this.isPlayerInCooldown(key);
+    const cooldownEndTime = inCooldown ? this.playerCooldowns.get(key) : null;
+    return {
+      attempts: (key && this.playerAttempts.get(key)) || 0,
+      inCooldown,
+      cooldownEndTime: cooldownEndTime ? new Date(cooldownEndTime) : null,
+      cooldownRemaining: inCooldown ? Math.ceil((cooldownEndTime - Date.now()) / 1000) : 0
+    };
+  }
+
+  pardon(playerID) {
+    const playerIDs = this.findPlayerIDs(playerID);
+    if (!playerIDs.some(id => this.playerAttempts.has(id) || this.playerCooldowns.has(id))) return false;
+
+    for (const id of playerIDs) {
+      this.resetPlayerData(id, 'pardoned');
     }
+    return true;
   }
 
   startCooldownWarning(playerID) {
@@ -241,13 +2645,15 @@ export default class SquadCreationBlocker extends BasePlugin {
       
       const timeLeft = Math.ceil((cooldownEndTime - Date.now()) / 1000);
       if (timeLeft <= 0) {
-        this.playerCooldowns.delete(playerID);
-        this.clearCooldownWarning(playerID);
-        await this.server.rcon.warn(playerID, "Squad creation cooldown has expired.");
+        this.endCooldown(playerID, 'expired');
+        await this.warnPlayer(playerID, this.formatMessage('cooldownExpired', {}, playerID));
         return;
       }
       
-      await this.server.rcon.warn(playerID, `Squad creation cooldown: ${timeLeft} second${timeLeft !== 1 ? 's' : ''} remaining.`);
+      await this.warnPlayer(playerID, this.formatMessage('cooldownReminder', { timeLeft }, playerID), {
+        reminder: true,
+        isCurrent: () => this.isPlayerInCooldown(playerID)
+      });
       
       const timeoutId = setTimeout(warnAboutCooldown, this.options.cooldownWarningInterval * 1000);
       this.cooldownWarningTimeouts.set(playerID, timeoutId);
@@ -272,24 +2678,57 @@ export default class SquadCreationBlocker extends BasePlugin {
     this.cooldownWarningTimeouts.clear();
   }
 
-  resetPlayerData(playerID) {
+  resetPlayerData(playerID, reason = 'reset') {
+    if (this.playerCooldowns.has(playerID)) this.endCooldown(playerID, reason);
     this.playerAttempts.delete(playerID);
     this.playerCooldowns.delete(playerID);
+    this.playerAttemptTimes.delete(playerID);
+    this.playerTokens.delete(playerID);
     this.clearCooldownWarning(playerID);
   }
 
   resetRateLimitingData() {
+    for (const playerID of [...this.playerCooldowns.keys()]) this.endCooldown(playerID, 'reset');
     this.playerAttempts.clear();
     this.playerCooldowns.clear();
+    this.playerAttemptTimes.clear();
+    this.playerTokens.clear();
     this.clearCooldownWarnings();
   }
 
+  getPolledSquadInfo(squad) {
+    return {
+      teamID: squad.teamID,
+      squadID: squad.squadID,
+      squadName: squad.squadName,
+      playerID: squad.creatorEOSID || squad.creatorSteamID,
+      playerName: squad.creatorName,
+      eosID: squad.creatorEOSID,
+      steamID: squad.creatorSteamID,
+      source: 'poll'
+    };
+  }
+
+  // Squad IDs are reused once a squad disbands, so a slot only counts as known while its creator and name match
+  isKnownSquad(squad) {
+    const known = this.knownSquads.get(`${squad.teamID}-${squad.squadID}`);
+    return !!known && known.playerID === squad.playerID && known.squadName === squad.squadName;
+  }
+
+  trackSquad(squad) {
+    this.knownSquads.set(`${squad.teamID}-${squad.squadID}`, { playerID: squad.playerID, squadName: squad.squadName });
+  }
+
+  untrackSquad(squad) {
+    this.knownSquads.delete(`${squad.teamID}-${squad.squadID}`);
+  }
+
   async initializeKnownSquads() {
     try {
       const squads = await this.server.rcon.getSquads();
       this.knownSquads.clear();
       for (const squad of squads) {
-        this.knownSquads.add(`${squad.teamID}-${squad.squadID}`);
+        this.trackSquad(this.getPolledSquadInfo(squad));
       }
     } catch (err) {
       this.verbose(1, `Error initializing known squads: ${err.message}`);
@@ -297,28 +2736,55 @@ export default class SquadCreationBlocker extends BasePlugin {
   }
 
   async pollSquads() {
-    if (!this.shouldApplyRateLimit()) return;
+    if (!this.getPhasePolicy().polling) return;
+    const applyRateLimit = this.shouldApplyRateLimit();
+    if (!applyRateLimit && !this.shouldPollContinuously()) return;
     if (this.isPollRunning) return;
     this.isPollRunning = true;
 
     try {
+      const previouslyKnown = [...this.knownSquads.keys()];
       const squads = await this.server.rcon.getSquads();
+      const remainingSquads = [...squads];
+      const removeSquad = squad => remainingSquads.splice(remainingSquads.indexOf(squad), 1);
 
-      for (const squad of squads) {
-        const squadKey = `${squad.teamID}-${squad.squadID}`;
-        if (this.knownSquads.has(squadKey)) continue;
-        this.knownSquads.add(squadKey);
+      // Only prune slots known before the request; squads tracked meanwhile may be missing from the list
+      const listedSlots = new Set(squads.map(squad => `${squad.teamID}-${squad.squadID}`));
+      for (const slot of previouslyKnown) {
+        if (!listedSlots.has(slot)) this.knownSquads.delete(slot);
+      }
 
-        if (this.isWhitelistedSquadName(squad.squadName)) continue;
-        if (this.options.allowDefaultSquadNames && this.isDefaultSquadName(squad.squadName)) continue;
+      for (const squad of squads) {
+        const squadInfo = this.getPolledSquadInfo(squad);
+        if (this.isKnownSquad(squadInfo)) continue;
+        this.trackSquad(squadInfo);
 
-        const creatorID = squad.creatorEOSID || squad.creatorSteamID;
+        const creatorID = squadInfo.playerID;
         if (!creatorID) continue;
 
-        if (this.isPlayerInCooldown(creatorID) || this.isBlocking) {
-          await this.server.rcon.execute(`AdminDisbandSquad ${squad.teamID} ${squad.squadID}`);
-          this.knownSquads.delete(squadKey);
-          await this.processRateLimit(creatorID);
+        if (
+          await this.enforceNameFilter(squadInfo) ||
+          await this.enforceNamingConvention(squadInfo, remainingSquads) ||
+          await this.enforceUniqueSquadName(squadInfo, remainingSquads) ||
+          await this.enforceReservation(squadInfo)
+        ) {
+          if (!this.options.dryRun) this.untrackSquad(squadInfo);
+          removeSquad(squad);
+          continue;
+        }
+
+        if (!applyRateLimit) continue;
+        if (this.isExemptSquad(squadInfo)) continue;
+        const policy = this.getPhasePolicy();
+        if (!policy.blockDefaultNames && this.isDefaultSquadName(squad.squadName)) continue;
+        if (await this.allowTrustedPlayer(squadInfo)) continue;
+
+        if (this.isPlayerInCooldown(creatorID) || policy.blockCustomNames) {
+          const { disbanded } = await this.disbandSquad(squadInfo, this.getBlockReason(), { countsAttempt: true });
+          if (!this.options.dryRun) this.untrackSquad(squadInfo);
+          if (!disbanded) continue;
+          removeSquad(squad);
+          await this.processRateLimit(creatorID, squadInfo);
         }
       }
     } catch (error) {
@@ -326,11 +2792,13 @@ export default class SquadCreationBlocker extends BasePlugin {
     } finally {
       this.isPollRunning = false;
     }
+    if (this.pollIntervalId) this.updatePolling();
   }
 
-  startPolling() {
-    if (this.pollIntervalId) return;
-    this.pollIntervalId = setInterval(this.pollSquads, this.options.pollInterval * 1000);
+  startPolling(interval = this.options.pollInterval) {
+    if (this.pollIntervalId || this.phase === 'dormant') return;
+    this.pollIntervalId = setInterval(this.pollSquads, interval * 1000);
+    this.pollIntervalSeconds = interval;
   }
 
   stopPolling() {
@@ -338,23 +2806,45 @@ export default class SquadCreationBlocker extends BasePlugin {
       clearInterval(this.pollIntervalId);
       this.pollIntervalId = null;
     }
+    this.pollIntervalSeconds = 0;
   }
 
-  scheduleBroadcasts() {
-    const broadcasts = [];
-    for (let i = Math.floor(this.options.blockDuration / 10) * 10; i > 0; i -= 10) {
-      broadcasts.push({
-        time: this.blockDurationMs - i * 1000,
-        message: `Custom squad names unlocks in ${i}s. Default names (e.g. "Squad 1") are allowed. Spammers get ${this.options.cooldownDuration}s cooldown.`
-      });
+  getCountdownTimes(durationSeconds) {
+    const times = new Set(this.options.countdownOffsets);
+    const interval = this.options.countdownInterval;
+    if (interval > 0) {
+      for (let i = Math.floor(durationSeconds / interval) * interval; i > 0; i -= interval) times.add(i);
     }
+    for (let i = 1; i <= this.options.finalCountdown; i++) times.add(i);
+    return [...times].filter(time => time > 0 && time <= durationSeconds).sort((a, b) => b - a);
+  }
 
-    broadcasts.forEach(broadcast => {
+  scheduleBroadcasts(durationMs = this.blockDurationMs) {
+    for (const timeLeft of this.getCountdownTimes(durationMs / 1000)) {
       const timeout = setTimeout(() => {
-        this.server.rcon.broadcast(broadcast.message);
-      }, broadcast.time);
+        this.sendCountdown(timeLeft);
+      }, durationMs - timeLeft * 1000);
       this.broadcastTimeouts.push(timeout);
-    });
+    }
+  }
+
+  async sendCountdown(timeLeft) {
+    const key = timeLeft <= this.options.finalCountdown ? 'countdownFinal' : 'countdown';
+    const values = { timeLeft, cooldown: this.options.cooldownDuration };
+    // Sent at warn priority so a burst of warns can delay the countdown but not drop it; only an ended window makes it stale
+    const isCurrent = () => this.isBlocking && !this.isRoundEnding;
+    if (this.options.countdownRecipients === 'all') {
+      await this.broadcastMessage(this.formatMessage(key, values), { isCurrent });
+      return;
+    }
+
+    try {
+      for (const playerID of this.countdownPlayers) {
+        await this.warnPlayer(playerID, this.formatMessage(key, values, playerID), { isCurrent });
+      }
+    } catch (err) {
+      this.verbose(1, `Error sending countdown: ${err.message}`);
+    }
   }
 
   clearBroadcasts() {
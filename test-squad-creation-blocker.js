@@ -3,6 +3,10 @@
  * Run with: node test-squad-creation-blocker.js
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
 import SquadCreationBlocker from './squad-server/plugins/squad-creation-blocker.js';
 
 let passes = 0;
@@ -21,17 +25,24 @@ function assert(condition, message) {
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
 function makeMockServer() {
-  const calls = { warns: [], executes: [], broadcasts: [], getSquadsResult: [] };
+  const calls = { warns: [], executes: [], broadcasts: [], events: [], getSquadsResult: [] };
   return {
     calls,
     rcon: {
       warn: async (steamID, msg) => calls.warns.push({ steamID, msg }),
-      execute: async (cmd) => calls.executes.push(cmd),
+      execute: async (cmd) => {
+        calls.executes.push(cmd);
+        const disband = cmd.match(/^AdminDisbandSquad (\S+) (\S+)$/);
+        if (disband) {
+          calls.getSquadsResult = calls.getSquadsResult.filter(s => `${s.teamID}` !== disband[1] || `${s.squadID}` !== disband[2]);
+        }
+      },
       broadcast: async (msg) => calls.broadcasts.push(msg),
       getSquads: async () => calls.getSquadsResult,
     },
     on: () => {},
     removeEventListener: () => {},
+    emit: (event, payload) => calls.events.push({ event, payload }),
   };
 }
 
@@ -52,13 +63,60 @@ function installMockTimers() {
   return cleared;
 }
 
+const realDateNow = Date.now;
+
+function setMockNow(ms) {
+  Date.now = () => ms;
+}
+
 function restoreTimers() {
   Object.assign(global, realTimers);
+  Date.now = realDateNow;
+}
+
+function makeMockDatabase(priorKicks = 0) {
+  const rows = [];
+  const trustRecords = [];
+  const makeTrustRecord = (values) => ({
+    ...values,
+    set(changes) { Object.assign(this, changes); },
+    async save() { if (!trustRecords.includes(this)) trustRecords.push(this); },
+  });
+  const offenseModel = {
+    sync: async () => {},
+    create: async (row) => rows.push(row),
+    count: async () => priorKicks,
+  };
+  const trustModel = {
+    sync: async () => {},
+    build: makeTrustRecord,
+    findOne: async ({ where }) => {
+      const [{ eosID: ids }] = where[Object.getOwnPropertySymbols(where)[0]];
+      return trustRecords.find(r => ids.includes(r.eosID) || ids.includes(r.steamID)) || null;
+    },
+  };
+  return {
+    rows,
+    trustRecords,
+    addTrustRecord: (values) => trustRecords.push(makeTrustRecord({ cleanMatches: 0, secondsPlayed: 0, violations: 0, ...values })),
+    define: (name) => (name.endsWith('Trust') ? trustModel : offenseModel),
+  };
+}
+
+function makeMockDiscordClient() {
+  const messages = [];
+  return {
+    messages,
+    channels: {
+      fetch: async (channelID) => ({ id: channelID, send: async (message) => messages.push(message) }),
+    },
+  };
 }
 
-function makePlugin(rawOptions = {}, server = null) {
+function makePlugin(rawOptions = {}, server = null, connectors = {}) {
   const s = server ?? makeMockServer();
-  const plugin = new SquadCreationBlocker(s, rawOptions, {});
+  // Unthrottled by default: mocked timers never fire, so a throttle wait would never end
+  const plugin = new SquadCreationBlocker(s, { rconCommandsPerSecond: 0, ...rawOptions }, connectors);
   plugin.verbose = () => {};
   return { plugin, server: s };
 }
@@ -85,6 +143,49 @@ console.log('\n--- isWhitelistedSquadName ---');
   assert(plugin.isWhitelistedSquadName('bravo'), 'case-insensitive whitelist entry');
   assert(!plugin.isWhitelistedSquadName('Charlie'), 'unlisted name rejected');
 }
+{
+  const { plugin } = makePlugin({ squadWhitelist: ['LOGI*', '/^cmd\\b/', 'a.b'] });
+  assert(plugin.isWhitelistedSquadName('logi 2'), 'glob pattern matches');
+  assert(plugin.isWhitelistedSquadName('CMD squad'), 'regex pattern matches');
+  assert(!plugin.isWhitelistedSquadName('CMDR'), 'regex pattern respects word boundary');
+  assert(!plugin.isWhitelistedSquadName('axb'), 'regex characters in plain names are literal');
+}
+
+// ─── isExemptSquad ───────────────────────────────────────────────────────────
+
+console.log('\n--- isExemptSquad ---');
+{
+  const server = makeMockServer();
+  server.getAdminsWithPermission = (permission) => (permission === 'canseeadminchat' ? ['eosAdmin'] : []);
+  const { plugin } = makePlugin({
+    exemptions: [
+      { permissions: ['canseeadminchat'] },
+      { playerIDs: ['steamVip'] },
+      { names: ['CMD'], playerIDs: ['eosClan'] }
+    ]
+  }, server);
+
+  assert(plugin.isExemptSquad({ squadName: 'Anything', eosID: 'eosAdmin' }), 'admin permission exempts any name');
+  assert(plugin.isExemptSquad({ squadName: 'Anything', eosID: 'eosX', steamID: 'steamVip' }), 'listed Steam ID exempt');
+  assert(plugin.isExemptSquad({ squadName: 'cmd', eosID: 'eosClan' }), 'name + player rule allows listed player');
+  assert(!plugin.isExemptSquad({ squadName: 'CMD', eosID: 'eosRandom' }), 'name + player rule rejects other players');
+  assert(!plugin.isExemptSquad({ squadName: 'Armor', eosID: 'eosClan' }), 'name + player rule rejects other names');
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.getAdminsWithPermission = () => [];
+  const { plugin } = makePlugin({ exemptions: [{ playerIDs: ['eos1'] }] }, server);
+  plugin.phase = 'blocked';
+
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 2 }, squadName: 'Custom' });
+  assert(server.calls.executes.length === 0, 'exempt player not disbanded in handleSquadCreated');
+
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 3, squadName: 'Custom', creatorEOSID: 'eos1' }];
+  await plugin.pollSquads();
+  assert(server.calls.executes.length === 0, 'exempt player not disbanded in pollSquads');
+  restoreTimers();
+}
 
 // ─── shouldApplyRateLimit ────────────────────────────────────────────────────
 
@@ -94,13 +195,13 @@ console.log('\n--- shouldApplyRateLimit ---');
   assert(!disabled.shouldApplyRateLimit(), 'false when rate limiting disabled');
 
   const { plugin: entire } = makePlugin({ rateLimitingScope: 'entireMatch' });
-  entire.isBlocking = false;
+  entire.phase = 'live';
   assert(entire.shouldApplyRateLimit(), 'true for entireMatch even when not blocking');
 
   const { plugin: periodic } = makePlugin({ rateLimitingScope: 'blockingPeriodOnly' });
-  periodic.isBlocking = false;
+  periodic.phase = 'live';
   assert(!periodic.shouldApplyRateLimit(), 'false for blockingPeriodOnly when not blocking');
-  periodic.isBlocking = true;
+  periodic.phase = 'blocked';
   assert(periodic.shouldApplyRateLimit(), 'true for blockingPeriodOnly when blocking');
 }
 
@@ -175,7 +276,7 @@ console.log('\n--- handleSquadCreated: allow logic ---');
   installMockTimers();
   const server = makeMockServer();
   const { plugin } = makePlugin({}, server);
-  plugin.isBlocking = false;
+  plugin.phase = 'live';
 
   await plugin.handleSquadCreated({ player: { steamID: 'steam1', teamID: 1, squadID: 2 }, squadName: 'Alpha' });
   assert(server.calls.executes.length === 0, 'no disband when not blocking and no cooldown');
@@ -185,7 +286,7 @@ console.log('\n--- handleSquadCreated: allow logic ---');
   installMockTimers();
   const server = makeMockServer();
   const { plugin } = makePlugin({ squadWhitelist: ['Alpha'] }, server);
-  plugin.isBlocking = true;
+  plugin.phase = 'blocked';
 
   await plugin.handleSquadCreated({ player: { steamID: 'steam1', teamID: 1, squadID: 2 }, squadName: 'Alpha' });
   assert(server.calls.executes.length === 0, 'whitelisted name passes through even when blocking');
@@ -195,7 +296,7 @@ console.log('\n--- handleSquadCreated: allow logic ---');
   installMockTimers();
   const server = makeMockServer();
   const { plugin } = makePlugin({ allowDefaultSquadNames: true }, server);
-  plugin.isBlocking = true;
+  plugin.phase = 'blocked';
 
   await plugin.handleSquadCreated({ player: { steamID: 'steam1', teamID: 1, squadID: 2 }, squadName: 'Squad 1' });
   assert(server.calls.executes.length === 0, 'default name passes through when allowDefaultSquadNames=true');
@@ -209,7 +310,7 @@ console.log('\n--- handleSquadCreated: disband + warn ---');
   installMockTimers();
   const server = makeMockServer();
   const { plugin } = makePlugin({ enableRateLimiting: false, broadcastMode: false }, server);
-  plugin.isBlocking = true;
+  plugin.phase = 'blocked';
   plugin.blockEndTime = Date.now() + 12000;
 
   await plugin.handleSquadCreated({ player: { steamID: 'steam1', teamID: 1, squadID: 2 }, squadName: 'Custom' });
@@ -221,8 +322,7 @@ console.log('\n--- handleSquadCreated: disband + warn ---');
   installMockTimers();
   const server = makeMockServer();
   const { plugin } = makePlugin({ enableRateLimiting: false }, server);
-  plugin.isBlocking = true;
-  plugin.isRoundEnding = true;
+  plugin.phase = 'roundEnding';
 
   await plugin.handleSquadCreated({ player: { steamID: 'steam1', teamID: 1, squadID: 2 }, squadName: 'Custom' });
   assert(server.calls.warns.some(w => w.msg.includes('end of a round')), 'round-ending message used at round end');
@@ -232,7 +332,7 @@ console.log('\n--- handleSquadCreated: disband + warn ---');
   installMockTimers();
   const server = makeMockServer();
   const { plugin } = makePlugin({ enableRateLimiting: false, broadcastMode: true }, server);
-  plugin.isBlocking = true;
+  plugin.phase = 'blocked';
   plugin.blockEndTime = Date.now() + 10000;
 
   await plugin.handleSquadCreated({ player: { steamID: 'steam1', teamID: 1, squadID: 2 }, squadName: 'Custom' });
@@ -304,7 +404,7 @@ console.log('\n--- processRateLimit: resetOnAttempt=true ---');
 {
   installMockTimers();
   const server = makeMockServer();
-  const { plugin } = makePlugin({ warningThreshold: 2, cooldownDuration: 30, kickThreshold: 20, resetOnAttempt: true }, server);
+  const { plugin } = makePlugin({ warningThreshold: 2, cooldownDuration: 30, kickThreshold: 20, resetOnAttempt: true, warnCoalesceWindow: 0 }, server);
 
   for (let i = 0; i < 3; i++) await plugin.processRateLimit('steam1');
   const originalEnd = plugin.playerCooldowns.get('steam1');
@@ -358,14 +458,14 @@ console.log('\n--- pollSquads: disbands new squads during blocking ---');
 {
   installMockTimers();
   const server = makeMockServer();
-  server.rcon.getSquads = async () => [
+  server.calls.getSquadsResult = [
     { teamID: 1, squadID: 2, squadName: 'Custom Squad', creatorSteamID: 'steam1' }
   ];
   const { plugin } = makePlugin(
     { enableRateLimiting: true, rateLimitingScope: 'blockingPeriodOnly', warningThreshold: 3, kickThreshold: 20 },
     server
   );
-  plugin.isBlocking = true;
+  plugin.phase = 'blocked';
 
   await plugin.pollSquads();
 
@@ -376,14 +476,14 @@ console.log('\n--- pollSquads: disbands new squads during blocking ---');
 {
   installMockTimers();
   const server = makeMockServer();
-  server.rcon.getSquads = async () => [
+  server.calls.getSquadsResult = [
     { teamID: 1, squadID: 2, squadName: 'Squad 1', creatorSteamID: 'steam1' }
   ];
   const { plugin } = makePlugin(
     { enableRateLimiting: true, rateLimitingScope: 'blockingPeriodOnly', allowDefaultSquadNames: true },
     server
   );
-  plugin.isBlocking = true;
+  plugin.phase = 'blocked';
 
   await plugin.pollSquads();
 
@@ -391,6 +491,1585 @@ console.log('\n--- pollSquads: disbands new squads during blocking ---');
   restoreTimers();
 }
 
+// ─── handleChatMessage: admin commands ───────────────────────────────────────
+
+console.log('\n--- handleChatMessage: admin commands ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.getAdminsWithPermission = () => [];
+  const { plugin } = makePlugin({}, server);
+
+  await plugin.handleChatMessage({ chat: 'ChatAll', message: '!squadblock lift', player: { eosID: 'eos1' } });
+  assert(server.calls.warns.length === 0, 'non-admin command ignored');
+
+  await plugin.handleChatMessage({ chat: 'ChatAdmin', message: '!squadblock start 60', player: { eosID: 'admin1' } });
+  assert(plugin.isBlocking, 'start begins a block window');
+  assert(plugin.blockEndTime - Date.now() > 59000, 'start uses the given duration');
+  assert(server.calls.warns.some(w => w.steamID === 'admin1' && w.msg.includes('60s')), 'admin receives confirmation');
+
+  const previousEnd = plugin.blockEndTime;
+  const previousTimeout = plugin.blockTimeoutId;
+  await plugin.handleChatMessage({ chat: 'ChatAdmin', message: '!squadblock extend 30', player: { eosID: 'admin1' } });
+  assert(plugin.blockEndTime - previousEnd >= 30000, 'extend pushes blockEndTime back');
+  assert(plugin.blockTimeoutId !== previousTimeout, 'extend reschedules the unlock timer');
+
+  server.calls.warns = [];
+  await plugin.handleChatMessage({ chat: 'ChatAdmin', message: '!squadblock status', player: { eosID: 'admin1' } });
+  assert(server.calls.warns.some(w => w.msg.includes('blocked for')), 'status reports remaining block time');
+
+  await plugin.handleChatMessage({ chat: 'ChatAdmin', message: '!squadblock lift', player: { eosID: 'admin1' } });
+  assert(!plugin.isBlocking, 'lift ends the block window');
+  assert(server.calls.broadcasts.some(b => b.includes('unlocked')), 'unlock broadcast sent on lift');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.getAdminsWithPermission = () => ['admin1'];
+  server.players = [{ name: 'Spammer', eosID: 'eos1', steamID: 'steam1' }];
+  const { plugin } = makePlugin({}, server);
+  plugin.playerAttempts.set('eos1', 5);
+  plugin.playerCooldowns.set('eos1', Date.now() + 10000);
+
+  await plugin.handleChatMessage({ chat: 'ChatAll', message: '!squadblock pardon spam', player: { eosID: 'admin1' } });
+  assert(!plugin.playerAttempts.has('eos1') && !plugin.playerCooldowns.has('eos1'), 'pardon by partial name clears player data');
+  assert(server.calls.warns.some(w => w.steamID === 'admin1' && w.msg.includes('Cleared')), 'admin with permission can use commands from any chat');
+  restoreTimers();
+}
+
+// ─── processRateLimit: offender history ──────────────────────────────────────
+
+console.log('\n--- processRateLimit: offender history ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const database = makeMockDatabase(0);
+  const { plugin } = makePlugin(
+    { enableOffenderHistory: true, database: 'sqlite', warningThreshold: 1, kickThreshold: 3 },
+    server,
+    { sqlite: database }
+  );
+  await plugin.prepareToMount();
+
+  for (let i = 0; i < 3; i++) await plugin.processRateLimit('steam1');
+  assert(database.rows.filter(r => r.type === 'attempt').length === 3, 'attempts recorded');
+  assert(database.rows.some(r => r.type === 'cooldown' && r.playerID === 'steam1'), 'cooldown recorded');
+  assert(database.rows.some(r => r.type === 'kick'), 'kick recorded');
+  assert(database.rows.every(r => r.time instanceof Date), 'records are timestamped');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin(
+    {
+      enableOffenderHistory: true, database: 'sqlite', warningThreshold: 3, cooldownDuration: 10, kickThreshold: 20,
+      repeatOffenderThresholdStep: 1, repeatOffenderCooldownMultiplier: 2, repeatOffenderBanThreshold: 3
+    },
+    server,
+    { sqlite: makeMockDatabase(2) }
+  );
+  await plugin.prepareToMount();
+
+  await plugin.processRateLimit('steam1');
+  await plugin.processRateLimit('steam1');
+  assert(plugin.playerCooldowns.has('steam1'), 'repeat offender reaches cooldown with a lowered threshold');
+  assert(server.calls.warns.some(w => w.msg.includes('cooldown for 40s')), 'repeat offender cooldown is multiplied');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const database = makeMockDatabase(3);
+  const { plugin } = makePlugin(
+    { enableOffenderHistory: true, enableTrust: true, database: 'sqlite', kickThreshold: 4, repeatOffenderBanThreshold: 3, repeatOffenderBanDuration: '2d' },
+    server,
+    { sqlite: database }
+  );
+  database.addTrustRecord({ eosID: 'steam1', trust: 20 });
+  await plugin.prepareToMount();
+
+  await plugin.processRateLimit('steam1');
+  assert(server.calls.executes.some(cmd => cmd === 'AdminBan "steam1" 2d Repeated squad creation spam'), 'repeat offender banned instead of kicked');
+  assert(!server.calls.executes.some(cmd => cmd.includes('AdminKick')), 'no kick issued alongside ban');
+  assert(database.rows.some(r => r.type === 'ban'), 'ban recorded');
+  assert(!database.rows.some(r => r.type === 'kick'), 'ban not also recorded as a kick');
+  assert(database.trustRecords[0].trust === 15 && database.trustRecords[0].violations === 1, 'ban costs trust once');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ enableOffenderHistory: true }, server);
+  await plugin.prepareToMount();
+
+  await plugin.processRateLimit('steam1');
+  assert(await plugin.getOffenderLevel('steam1') === 0, 'history disabled without a database connector');
+  restoreTimers();
+}
+
+// ─── Discord audit log ───────────────────────────────────────────────────────
+
+console.log('\n--- Discord audit log ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.players = [{ name: 'Spammer', eosID: 'eos1', steamID: '76561198000000001' }];
+  const discord = makeMockDiscordClient();
+  const { plugin } = makePlugin(
+    { discordClient: 'discord', channelID: '123', warningThreshold: 1, kickThreshold: 3, enableRateLimiting: true },
+    server,
+    { discord }
+  );
+  await plugin.prepareToMount();
+  plugin.phase = 'blocked';
+
+  const info = { player: { eosID: 'eos1', steamID: '76561198000000001', name: 'Spammer', teamID: 1, squadID: 2 }, squadName: 'Custom' };
+  await plugin.handleSquadCreated(info);
+  const disband = discord.messages[0].embeds[0];
+  const field = (embed, name) => embed.fields.find(f => f.name === name)?.value;
+  assert(disband.title === 'Squad Disbanded', 'disband posted to Discord');
+  assert(field(disband, 'Player') === 'Spammer' && field(disband, 'Squad') === 'Custom', 'disband embed includes player and squad name');
+  assert(field(disband, 'Steam ID') === '76561198000000001' && field(disband, 'Team') === '1', 'disband embed includes IDs and team');
+  assert(field(disband, 'Attempts') === '1', 'disband embed counts the attempt it caused');
+
+  await plugin.handleSquadCreated(info);
+  const cooldown = discord.messages.find(m => m.embeds[0].title === 'Squad Creation Cooldown');
+  assert(cooldown && field(cooldown.embeds[0], 'Attempts') === '2', 'cooldown posted with attempt count');
+  assert(field(discord.messages.filter(m => m.embeds[0].title === 'Squad Disbanded')[1].embeds[0], 'Attempts') === '2', 'disband embed matches the cooldown count');
+
+  await plugin.handleSquadCreated(info);
+  assert(discord.messages.some(m => m.embeds[0].title.includes('Kicked')), 'kick posted to Discord');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const discord = makeMockDiscordClient();
+  const { plugin } = makePlugin({ discordClient: 'discord', channelID: '123' }, null, { discord });
+  await plugin.prepareToMount();
+
+  plugin.startBlockWindow(15000);
+  plugin.endBlockWindow();
+  await Promise.resolve();
+  const titles = discord.messages.map(m => m.embeds[0].title);
+  assert(titles.includes('Squad Block Window Started') && titles.includes('Squad Block Window Ended'), 'block window start and end posted');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const discord = makeMockDiscordClient();
+  const { plugin } = makePlugin({ discordClient: 'discord' }, null, { discord });
+  await plugin.prepareToMount();
+
+  plugin.startBlockWindow(15000);
+  assert(discord.messages.length === 0, 'nothing posted without a channelID');
+  restoreTimers();
+}
+
+// ─── Squad name filter ───────────────────────────────────────────────────────
+
+console.log('\n--- normalizeSquadName ---');
+{
+  const { plugin } = makePlugin();
+  assert(plugin.normalizeSquadName('A D M I N') === 'admin', 'spacing tricks removed');
+  assert(plugin.normalizeSquadName('4DM1N') === 'admin', 'leetspeak mapped');
+  assert(plugin.normalizeSquadName('аdmіn') === 'admin', 'Cyrillic homoglyphs mapped');
+  assert(plugin.normalizeSquadName('ＳＥＲＶＥＲ') === 'server', 'fullwidth letters mapped');
+  assert(plugin.normalizeSquadName('S.é.r.v.e.r') === 'server', 'diacritics and punctuation stripped');
+}
+
+console.log('\n--- Squad name filter ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ nameFilterRules: [{ keywords: ['admin'], action: 'disband' }] }, server);
+  plugin.phase = 'live';
+
+  await plugin.handleSquadCreated({ player: { steamID: 'steam1', teamID: 1, squadID: 2 }, squadName: '4 D M 1 N' });
+  assert(server.calls.executes.some(cmd => cmd === 'AdminDisbandSquad 1 2'), 'filtered name disbanded outside the block window');
+  assert(server.calls.warns.some(w => w.steamID === 'steam1' && w.msg.includes('not allowed')), 'player told the name is not allowed');
+  assert(!plugin.playerAttempts.has('steam1'), 'disband action does not count toward rate limit');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ nameFilterRules: [{ pattern: 'discord\\.gg', action: 'warn', message: 'No ads please.' }] }, server);
+  plugin.phase = 'live';
+
+  await plugin.handleSquadCreated({ player: { steamID: 'steam1', teamID: 1, squadID: 2 }, squadName: 'join discord.gg/abc' });
+  assert(server.calls.executes.length === 0, 'warn action leaves the squad alone');
+  assert(server.calls.warns.some(w => w.msg === 'No ads please.'), 'custom rule message used');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ nameFilterRules: [{ keywords: ['server'], action: 'rateLimit' }] }, server);
+  plugin.phase = 'live';
+
+  await plugin.handleSquadCreated({ player: { steamID: 'steam1', teamID: 1, squadID: 2 }, squadName: 'SERVER' });
+  assert(plugin.playerAttempts.get('steam1') === 1, 'rateLimit action counts an attempt even outside the block window');
+  restoreTimers();
+}
+{
+  const { plugin } = makePlugin({ nameFilterRules: [{ keywords: ['admin', 'server', 'no mic'] }] });
+  assert(plugin.findNameFilterRule('A.D.M.I.N') && plugin.findNameFilterRule('4DM1N') && plugin.findNameFilterRule('[ADMIN] team'), 'keywords match spaced, leetspeak and bracketed names');
+  assert(plugin.findNameFilterRule('NO-MIC squad') && plugin.findNameFilterRule('nomic'), 'multi-word keywords match with or without separators');
+  assert(!plugin.findNameFilterRule('Observers'), 'keyword not matched inside a longer word');
+  assert(!plugin.findNameFilterRule('BAD MINE'), 'keyword not matched across the boundary of two words');
+  assert(!plugin.findNameFilterRule('Administration'), 'keyword not matched at the start of a longer word');
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ nameFilterRules: [{ keywords: ['admin'], action: 'kick' }] }, server);
+
+  await plugin.handleSquadCreated({ player: { steamID: 'steam1', teamID: 1, squadID: 2 }, squadName: 'Admin' });
+  assert(server.calls.executes.some(cmd => cmd.startsWith('AdminKick "steam1"')), 'kick action kicks the creator');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.calls.getSquadsResult = [
+    { teamID: 1, squadID: 3, squadName: 'ADMIN TEAM', creatorEOSID: 'eos1' },
+    { teamID: 1, squadID: 4, squadName: 'Armor', creatorEOSID: 'eos2' }
+  ];
+  const { plugin } = makePlugin({ enableRateLimiting: false, nameFilterRules: [{ keywords: ['admin'] }] }, server);
+  plugin.phase = 'live';
+
+  assert(plugin.shouldPollContinuously(), 'polling runs all match when name rules are configured');
+  await plugin.pollSquads();
+  assert(server.calls.executes.length === 1 && server.calls.executes[0] === 'AdminDisbandSquad 1 3', 'poll disbands only the filtered squad');
+  restoreTimers();
+}
+
+// ─── handleNewGame: layer profiles ───────────────────────────────────────────
+
+console.log('\n--- handleNewGame: layer profiles ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({
+    blockDuration: 15,
+    layerProfiles: [
+      { gamemodes: ['Seed'], blockDuration: 0, enableRateLimiting: false },
+      { gamemodes: ['Invasion', 'Insurgency'], blockDuration: 30, warningThreshold: 5 },
+      { layers: ['_Skirmish_'], blockDuration: 10, broadcastMode: true }
+    ]
+  }, server);
+
+  await plugin.handleNewGame({ layer: { name: 'Gorodok Invasion v1', classname: 'Gorodok_Invasion_v1', gamemode: 'Invasion' } });
+  assert(plugin.blockDurationMs === 30000, 'gamemode profile overrides blockDuration');
+  assert(plugin.options.warningThreshold === 5, 'gamemode profile overrides rate limit settings');
+  assert(plugin.isBlocking, 'blocking during profile window');
+
+  await plugin.handleNewGame({ layer: { name: 'Sumari Seed v1', classname: 'Sumari_Seed_v1', gamemode: 'Seed' } });
+  assert(!plugin.isBlocking, 'no block window on seed layers');
+  assert(!plugin.shouldApplyRateLimit(), 'rate limiting disabled by seed profile');
+  assert(server.calls.broadcasts.length === 0, 'no unlock broadcast when the window is skipped');
+
+  await plugin.handleNewGame({ layerClassname: 'Tallil_Skirmish_v1' });
+  assert(plugin.blockDurationMs === 10000 && plugin.options.broadcastMode, 'layer pattern matches the classname from the event');
+
+  server.currentLayer = { name: 'Narva RAAS v1', classname: 'Narva_RAAS_v1', gamemode: 'RAAS' };
+  await plugin.handleNewGame();
+  assert(plugin.blockDurationMs === 15000 && plugin.activeLayerProfile === null, 'falls back to global options');
+  assert(plugin.options.warningThreshold === 3 && !plugin.options.broadcastMode, 'profile overrides do not leak into the next match');
+  restoreTimers();
+}
+
+// ─── Player-count activation ─────────────────────────────────────────────────
+
+console.log('\n--- Player-count activation ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const players = (count) => Array.from({ length: count }, (_, i) => ({ eosID: `eos${i}` }));
+  const { plugin } = makePlugin({
+    dormantBelowPlayerCount: 20,
+    lightProfileBelowPlayerCount: 50,
+    lightProfile: { enableRateLimiting: false, blockDuration: 5 },
+    playerCountHysteresis: 3
+  }, server);
+
+  server.players = players(10);
+  await plugin.mount();
+  assert(plugin.activityLevel === 'dormant', 'dormant below the lower threshold');
+  assert(plugin.playerCountIntervalId != null, 'player count re-evaluated during the match');
+
+  await plugin.handleNewGame();
+  assert(!plugin.isBlocking, 'no block window while dormant');
+  plugin.startPolling();
+  assert(plugin.pollIntervalId === null, 'startPolling does nothing while dormant');
+
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 2 }, squadName: 'Custom' });
+  assert(server.calls.executes.length === 0, 'squads not touched while dormant');
+
+  server.players = players(25);
+  await plugin.handleNewGame();
+  assert(plugin.activityLevel === 'light', 'light profile between thresholds');
+  assert(plugin.blockDurationMs === 5000 && !plugin.options.enableRateLimiting, 'light profile overrides applied');
+  assert(plugin.isBlocking, 'block window runs in light mode');
+
+  server.players = players(18);
+  plugin.checkPlayerCount();
+  assert(plugin.activityLevel === 'light', 'hysteresis keeps light mode just below the threshold');
+
+  server.players = players(16);
+  plugin.checkPlayerCount();
+  assert(plugin.activityLevel === 'dormant', 'goes dormant once below threshold minus hysteresis');
+  assert(!plugin.isBlocking, 'going dormant cancels the block window');
+
+  server.players = players(55);
+  plugin.checkPlayerCount();
+  assert(plugin.activityLevel === 'full' && plugin.blockDurationMs === 15000, 'full profile restores global options');
+
+  await plugin.unmount();
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.players = [];
+  server.a2sPlayerCount = 40;
+  const { plugin } = makePlugin({ dormantBelowPlayerCount: 20 }, server);
+  assert(plugin.getPlayerCount() === 40, 'falls back to a2sPlayerCount when the player list is empty');
+  restoreTimers();
+}
+
+// ─── Squad naming convention ─────────────────────────────────────────────────
+
+console.log('\n--- Squad naming convention ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.getAdminsWithPermission = () => [];
+  server.calls.getSquadsResult = [
+    { teamID: 1, squadID: 1, squadName: 'ARMOR 1' },
+    { teamID: 1, squadID: 2, squadName: 'armor-2' },
+    { teamID: 2, squadID: 1, squadName: 'ARMOR' },
+    { teamID: 1, squadID: 3, squadName: 'ARMOR 3' }
+  ];
+  const { plugin } = makePlugin({
+    squadTags: [{ tag: 'INF' }, { tag: 'ARMOR', maxPerTeam: 2 }, { tag: 'CMD', maxPerTeam: 1 }],
+    warningThreshold: 3
+  }, server);
+  plugin.phase = 'live';
+
+  assert(plugin.findSquadTag('INF 1')?.tag === 'INF', 'prefix tag recognized');
+  assert(plugin.findSquadTag('INFANTRY') === null, 'tag must not run into more letters');
+
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 5 }, squadName: 'Alpha' });
+  assert(server.calls.executes.includes('AdminDisbandSquad 1 5'), 'untagged squad disbanded');
+  assert(server.calls.warns.some(w => w.steamID === 'eos1' && w.msg.includes('INF, ARMOR, CMD')), 'player told which tags exist');
+  assert(plugin.playerAttempts.get('eos1') === 1, 'violation counts toward the rate limit');
+
+  server.calls.executes = [];
+  server.calls.warns = [];
+  await plugin.handleSquadCreated({ player: { eosID: 'eos2', teamID: 1, squadID: 3 }, squadName: 'ARMOR 3' });
+  assert(server.calls.executes.includes('AdminDisbandSquad 1 3'), 'squad over the team quota disbanded');
+  assert(server.calls.warns.some(w => w.msg.includes('limit is 2')), 'player told the quota');
+
+  server.calls.executes = [];
+  await plugin.handleSquadCreated({ player: { eosID: 'eos3', teamID: 2, squadID: 2 }, squadName: 'ARMOR 2' });
+  assert(server.calls.executes.length === 0, 'quotas are counted per team');
+
+  await plugin.handleSquadCreated({ player: { eosID: 'eos4', teamID: 2, squadID: 3 }, squadName: 'Squad 3' });
+  assert(server.calls.executes.length === 0, 'default squad name not disbanded for a missing tag');
+  assert(!plugin.playerAttempts.has('eos4'), 'default squad name not counted as a violation');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.getAdminsWithPermission = () => [];
+  server.calls.getSquadsResult = [
+    { teamID: 1, squadID: 1, squadName: 'CMD', creatorEOSID: 'eos1' },
+    { teamID: 1, squadID: 2, squadName: 'CMD 2', creatorEOSID: 'eos2' },
+    { teamID: 1, squadID: 3, squadName: 'INF', creatorEOSID: 'eos3' }
+  ];
+  const { plugin } = makePlugin({ squadTags: [{ tag: 'INF' }, { tag: 'CMD', maxPerTeam: 1 }], requireSquadTag: false }, server);
+  plugin.phase = 'live';
+
+  await plugin.pollSquads();
+  assert(server.calls.executes.length === 1, 'poll disbands only the squad over the quota');
+  assert(!server.calls.executes.includes('AdminDisbandSquad 1 3'), 'poll leaves squads within quota alone');
+  restoreTimers();
+}
+
+// ─── processRateLimit: time-based modes ──────────────────────────────────────
+
+console.log('\n--- processRateLimit: slidingWindow ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ rateLimitMode: 'slidingWindow', rateLimitWindow: 60, warningThreshold: 3, kickThreshold: 20 }, server);
+
+  setMockNow(0);
+  for (let i = 0; i < 3; i++) await plugin.processRateLimit('steam1');
+  setMockNow(61000);
+  server.calls.warns = [];
+  await plugin.processRateLimit('steam1');
+  assert(!plugin.playerCooldowns.has('steam1'), 'old attempts fall out of the window');
+  assert(server.calls.warns.some(w => w.msg.includes('3 more attempt')), 'remaining attempts based on the window');
+
+  setMockNow(62000);
+  for (let i = 0; i < 3; i++) await plugin.processRateLimit('steam1');
+  assert(plugin.playerCooldowns.has('steam1'), 'cooldown when attempts within the window exceed the threshold');
+  restoreTimers();
+}
+
+console.log('\n--- processRateLimit: tokenBucket ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ rateLimitMode: 'tokenBucket', tokenRefillInterval: 10, warningThreshold: 2, kickThreshold: 20 }, server);
+
+  setMockNow(0);
+  await plugin.processRateLimit('steam1');
+  await plugin.processRateLimit('steam1');
+  assert(!plugin.playerCooldowns.has('steam1'), 'bucket absorbs warningThreshold attempts');
+
+  setMockNow(10000);
+  server.calls.warns = [];
+  await plugin.processRateLimit('steam1');
+  assert(!plugin.playerCooldowns.has('steam1'), 'a refilled token absorbs another attempt');
+  assert(server.calls.warns.some(w => w.msg.includes('1 more attempt')), 'warning reports remaining tokens');
+
+  await plugin.processRateLimit('steam1');
+  assert(plugin.playerCooldowns.has('steam1'), 'empty bucket triggers cooldown');
+  restoreTimers();
+}
+
+console.log('\n--- processRateLimit: kickWindow ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ warningThreshold: 2, kickThreshold: 3, kickWindow: 300 }, server);
+
+  setMockNow(0);
+  await plugin.processRateLimit('steam1');
+  await plugin.processRateLimit('steam1');
+  setMockNow(400000);
+  await plugin.processRateLimit('steam1');
+  assert(!server.calls.executes.some(cmd => cmd.includes('AdminKick')), 'attempts outside the kick window do not count');
+
+  await plugin.processRateLimit('steam1');
+  await plugin.processRateLimit('steam1');
+  assert(server.calls.executes.some(cmd => cmd.includes('AdminKick')), 'kick when the threshold is reached within the window');
+  restoreTimers();
+}
+
+// ─── Dry run ─────────────────────────────────────────────────────────────────
+
+console.log('\n--- Dry run ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 3, squadName: 'Custom', creatorEOSID: 'eos2' }];
+  const { plugin } = makePlugin({ dryRun: true, warningThreshold: 1, kickThreshold: 3 }, server);
+  plugin.phase = 'blocked';
+
+  const info = { player: { eosID: 'eos1', teamID: 1, squadID: 2 }, squadName: 'Custom' };
+  for (let i = 0; i < 3; i++) await plugin.handleSquadCreated(info);
+  assert(server.calls.executes.length === 0 && server.calls.warns.length === 0, 'nothing sent to the server');
+  assert(plugin.playerAttempts.size === 0 && !plugin.playerCooldowns.has('eos1'), 'decision logic still runs (player data reset by simulated kick)');
+
+  await plugin.pollSquads();
+  await plugin.pollSquads();
+  assert(plugin.knownSquads.has('1-3'), 'squads that would have been disbanded stay known');
+
+  plugin.endBlockWindow();
+  await plugin.handleRoundEnd();
+  const report = plugin.getDryRunReport();
+  assert(report.totals.AdminDisbandSquad === 4, 'report counts intended disbands');
+  assert(report.totals.AdminKick === 1, 'report counts intended kicks');
+  assert(report.actions.some(a => a.type === 'warn' && a.playerID === 'eos1' && a.message.includes('cooldown')), 'report records intended warnings');
+  assert(report.totals.broadcast === 1 && server.calls.broadcasts.length === 0, 'unlock broadcast recorded instead of sent');
+  assert(plugin.dryRunReport.actions.length === 0, 'a fresh report starts after round end');
+  restoreTimers();
+}
+
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.players = [{ eosID: 'eos1', name: 'Spammer' }];
+  const database = makeMockDatabase();
+  const discord = makeMockDiscordClient();
+  const { plugin } = makePlugin(
+    { dryRun: true, enableOffenderHistory: true, enableTrust: true, database: 'sqlite', discordClient: 'discord', channelID: '123', warningThreshold: 1, kickThreshold: 2 },
+    server,
+    { sqlite: database, discord }
+  );
+  await plugin.prepareToMount();
+  plugin.phase = 'blocked';
+
+  const info = { player: { eosID: 'eos1', teamID: 1, squadID: 2 }, squadName: 'Custom' };
+  for (let i = 0; i < 2; i++) await plugin.handleSquadCreated(info);
+  await plugin.handleRoundEnd();
+  assert(plugin.getDryRunReport().totals.AdminKick === 1, 'dry run still simulates the kick');
+  assert(database.rows.length === 0, 'no offenses written to the database');
+  assert(database.trustRecords.length === 0, 'no trust changes written to the database');
+  assert(discord.messages.length === 0, 'nothing posted to Discord');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 2, squadName: 'Custom', creatorEOSID: 'eos1' }];
+  const { plugin } = makePlugin({ dryRun: true, warningThreshold: 3 }, server);
+  plugin.phase = 'blocked';
+
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 2 }, squadName: 'Custom' });
+  assert(plugin.knownSquads.has('1-2'), 'squad left in place by a dry-run disband is tracked');
+  await plugin.pollSquads();
+  assert(plugin.dryRunReport.actions.filter(a => a.type === 'AdminDisbandSquad').length === 1, 'squad from the event not disbanded again by the poll');
+  assert(plugin.playerAttempts.get('eos1') === 1, 'attempt counted once');
+  assert(plugin.matchStatistics.blockedAttempts.event === 1 && plugin.matchStatistics.blockedAttempts.poll === 0, 'blocked attempt counted once');
+  restoreTimers();
+}
+
+// ─── disbandSquad: verification and retry ────────────────────────────────────
+
+function installImmediateTimers() {
+  const delays = [];
+  let id = 0;
+  global.setTimeout = (fn, ms) => { delays.push(ms); fn(); return ++id; };
+  global.clearTimeout = () => {};
+  // Polling intervals must not fire or keep the process alive
+  global.setInterval = () => ++id;
+  global.clearInterval = () => {};
+  return delays;
+}
+
+console.log('\n--- disbandSquad: verification and retry ---');
+{
+  const delays = installImmediateTimers();
+  const server = makeMockServer();
+  const squad = { teamID: 1, squadID: 2, squadName: 'Custom', playerID: 'eos1', eosID: 'eos1' };
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 2, squadName: 'Custom', creatorEOSID: 'eos1' }];
+  let disbandCalls = 0;
+  server.rcon.execute = async (cmd) => {
+    server.calls.executes.push(cmd);
+    if (++disbandCalls === 2) server.calls.getSquadsResult = [];
+  };
+  const { plugin } = makePlugin({ disbandRetries: 2, disbandRetryDelay: 1 }, server);
+
+  const result = await plugin.disbandSquad(squad);
+  assert(result.disbanded && result.attempts === 2, 'surviving squad disbanded on retry');
+  assert(delays[0] === 1000, 'retry waits disbandRetryDelay');
+  restoreTimers();
+}
+{
+  const delays = installImmediateTimers();
+  const server = makeMockServer();
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 2, squadName: 'Custom', creatorEOSID: 'eos1' }];
+  server.rcon.execute = async (cmd) => server.calls.executes.push(cmd);
+  const { plugin } = makePlugin({ disbandRetries: 2, disbandRetryDelay: 1, warningThreshold: 3 }, server);
+  const logs = [];
+  plugin.verbose = (level, msg) => logs.push(msg);
+  plugin.phase = 'blocked';
+
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 2 }, squadName: 'Custom' });
+  assert(server.calls.executes.length === 3, 'gives up after disbandRetries retries');
+  assert(delays.join() === '1000,2000', 'retry delay doubles');
+  assert(logs.some(msg => msg.includes('Giving up')), 'failure reported through verbose');
+  assert(!plugin.playerAttempts.has('eos1'), 'failed disband does not count toward the rate limit');
+
+  const result = await plugin.disbandSquad({ teamID: 1, squadID: 2, squadName: 'Custom', playerID: 'eos1' });
+  assert(!result.disbanded && result.error.includes('still exists'), 'failure reported in the returned result');
+  restoreTimers();
+}
+{
+  installImmediateTimers();
+  const server = makeMockServer();
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 2, squadName: 'Custom', creatorEOSID: 'eos1' }];
+  let checks = 0;
+  server.rcon.getSquads = async () => {
+    // First check: disband has not landed yet. Later checks: the ID now belongs to someone else.
+    if (++checks === 1) return server.calls.getSquadsResult;
+    return [{ teamID: 1, squadID: 2, squadName: 'Squad 2', creatorEOSID: 'eos9' }];
+  };
+  server.rcon.execute = async (cmd) => server.calls.executes.push(cmd);
+  const { plugin } = makePlugin({}, server);
+
+  const result = await plugin.disbandSquad({ teamID: 1, squadID: 2, squadName: 'Custom', playerID: 'eos1', eosID: 'eos1' });
+  assert(server.calls.executes.length === 1, 'reused squad ID is not disbanded again');
+  assert(result.disbanded, 'original squad counted as gone once its ID is reused');
+  restoreTimers();
+}
+{
+  installImmediateTimers();
+  const server = makeMockServer();
+  let calls = 0;
+  server.rcon.execute = async (cmd) => {
+    if (++calls === 1) throw new Error('RCON timeout');
+    server.calls.executes.push(cmd);
+  };
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 2, squadName: 'Custom' }];
+  server.rcon.getSquads = async () => (calls >= 2 ? [] : server.calls.getSquadsResult);
+  const { plugin } = makePlugin({}, server);
+
+  const result = await plugin.disbandSquad({ teamID: 1, squadID: 2, squadName: 'Custom', playerID: 'eos1' });
+  assert(result.disbanded && result.attempts === 2, 'RCON error retried');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 2, squadName: 'Custom' }];
+  server.rcon.execute = async (cmd) => server.calls.executes.push(cmd);
+  const { plugin } = makePlugin({ verifyDisbands: false }, server);
+
+  const result = await plugin.disbandSquad({ teamID: 1, squadID: 2, squadName: 'Custom', playerID: 'eos1' });
+  assert(result.disbanded && server.calls.executes.length === 1, 'verification can be turned off');
+  restoreTimers();
+}
+{
+  installImmediateTimers();
+  const server = makeMockServer();
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 3, squadName: 'Custom', creatorEOSID: 'eos1' }];
+  server.rcon.execute = async (cmd) => {
+    server.calls.executes.push(cmd);
+    server.calls.getSquadsResult = [];
+  };
+  const { plugin } = makePlugin({ warningThreshold: 3 }, server);
+  plugin.phase = 'blocked';
+
+  await plugin.pollSquads();
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 3 }, squadName: 'Custom' });
+  assert(server.calls.executes.filter(cmd => cmd === 'AdminDisbandSquad 1 3').length === 1, 'squad disbanded by the poll is not disbanded again by its event');
+  assert(plugin.playerAttempts.get('eos1') === 1 && plugin.matchStatistics.disbands === 1, 'player charged once');
+
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 3, squadName: 'Custom', creatorEOSID: 'eos1' }];
+  let release = null;
+  const execute = server.rcon.execute;
+  server.rcon.execute = (cmd) => new Promise(resolve => {
+    release = () => execute(cmd).then(resolve);
+  });
+  const pending = plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 3 }, squadName: 'Custom' });
+  while (!release) await Promise.resolve();
+  const poll = plugin.pollSquads();
+  for (let i = 0; i < 20; i++) await Promise.resolve();
+  server.rcon.execute = execute;
+  release();
+  await Promise.all([pending, poll]);
+  assert(server.calls.executes.filter(cmd => cmd === 'AdminDisbandSquad 1 3').length === 2, 'poll skips a squad the event is disbanding');
+  assert(plugin.playerAttempts.get('eos1') === 2, 'recreated squad charged once');
+  restoreTimers();
+}
+{
+  installImmediateTimers();
+  const server = makeMockServer();
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 3, squadName: 'Custom', creatorEOSID: 'eos1' }];
+  server.rcon.execute = async (cmd) => server.calls.executes.push(cmd);
+  const { plugin } = makePlugin({ verifyDisbands: false, warningThreshold: 3 }, server);
+  plugin.phase = 'blocked';
+
+  await plugin.pollSquads();
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 3 }, squadName: 'Custom' });
+  assert(server.calls.executes.length === 2, 'squad still listed after the poll disbanded it is disbanded again by its event');
+  restoreTimers();
+}
+
+// ─── Enforcement events and public API ───────────────────────────────────────
+
+console.log('\n--- Enforcement events and public API ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  server.players = [{ name: 'Spammer', eosID: 'eos1', steamID: 'steam1' }];
+  const { plugin } = makePlugin({ warningThreshold: 1, kickThreshold: 3 }, server);
+  const eventsNamed = (name) => server.calls.events.filter(e => e.event === name).map(e => e.payload);
+
+  plugin.startBlockWindow(15000);
+  assert(eventsNamed('SQUAD_BLOCK_WINDOW_STARTED')[0]?.reason === 'newGame', 'block window start emitted');
+  assert(plugin.isBlockingActive(), 'isBlockingActive reports the window');
+
+  const info = { player: { eosID: 'eos1', steamID: 'steam1', name: 'Spammer', teamID: 1, squadID: 2 }, squadName: 'Custom' };
+  await plugin.handleSquadCreated(info);
+  const blocked = eventsNamed('SQUAD_CREATION_BLOCKED')[0];
+  assert(blocked?.reason === 'blockWindow', 'blocked event carries the reason');
+  assert(blocked.player.name === 'Spammer' && blocked.player.steamID === 'steam1', 'blocked event carries the player');
+  assert(blocked.squad.squadName === 'Custom' && blocked.squad.teamID === 1, 'blocked event carries the squad');
+
+  await plugin.handleSquadCreated(info);
+  const cooldown = eventsNamed('SQUAD_CREATION_COOLDOWN_STARTED')[0];
+  assert(cooldown?.attempts === 2 && cooldown.cooldownDuration === 10, 'cooldown start emitted');
+
+  const status = plugin.getPlayerStatus('steam1');
+  assert(status.attempts === 2 && status.inCooldown && status.cooldownRemaining === 10, 'getPlayerStatus resolves by either ID');
+
+  assert(plugin.pardon('eos1'), 'pardon returns true when penalties were cleared');
+  assert(eventsNamed('SQUAD_CREATION_COOLDOWN_ENDED')[0]?.reason === 'pardoned', 'cooldown end emitted on pardon');
+  assert(plugin.getPlayerStatus('eos1').attempts === 0, 'pardon clears attempts');
+  assert(!plugin.pardon('eos1'), 'pardon returns false when there is nothing to clear');
+
+  for (let i = 0; i < 3; i++) await plugin.handleSquadCreated(info);
+  assert(eventsNamed('SQUAD_CREATION_KICK')[0]?.reason === 'spam', 'kick emitted');
+
+  plugin.endBlockWindow();
+  assert(eventsNamed('SQUAD_BLOCK_WINDOW_ENDED')[0]?.reason === 'expired', 'block window end emitted');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({}, server);
+  plugin.playerCooldowns.set('eos1', Date.now() - 1);
+  assert(!plugin.isPlayerInCooldown('eos1'), 'expired cooldown detected');
+  assert(server.calls.events.some(e => e.event === 'SQUAD_CREATION_COOLDOWN_ENDED' && e.payload.reason === 'expired'), 'cooldown end emitted on expiry');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ warningThreshold: 1, kickThreshold: 3, rateLimitingScope: 'blockingPeriodOnly' }, server);
+  const eventsNamed = (name) => server.calls.events.filter(e => e.event === name).map(e => e.payload);
+  plugin.phase = 'blocked';
+
+  for (let i = 0; i < 2; i++) await plugin.processRateLimit('eos1');
+  await plugin.handleRoundEnd();
+  assert(eventsNamed('SQUAD_CREATION_COOLDOWN_ENDED')[0]?.reason === 'reset', 'cooldown end emitted when round end resets rate limiting');
+
+  plugin.phase = 'blocked';
+  for (let i = 0; i < 3; i++) await plugin.processRateLimit('eos2');
+  const ended = eventsNamed('SQUAD_CREATION_COOLDOWN_ENDED');
+  assert(ended.length === 2 && ended[1].reason === 'kicked', 'cooldown end emitted on kick');
+  assert(eventsNamed('SQUAD_CREATION_COOLDOWN_STARTED').length === ended.length, 'every cooldown start has an end');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({}, server);
+  const windowEvents = () => server.calls.events
+    .filter(e => e.event.startsWith('SQUAD_BLOCK_WINDOW'))
+    .map(e => `${e.event === 'SQUAD_BLOCK_WINDOW_STARTED' ? 'start' : 'end'}:${e.payload.reason}`);
+
+  plugin.startBlockWindow(15000);
+  await plugin.executeAdminCommand('extend', ['10']);
+  await plugin.handleRoundEnd();
+  await plugin.handleNewGame();
+  plugin.overridePhase('dormant');
+  assert(
+    windowEvents().join() === 'start:newGame,end:adminExtend,start:adminExtend,end:roundEnd,start:roundEnd,end:newGame,start:newGame,end:adminPhase',
+    'block window starts and ends pair up across extend, round end, new game and cancel'
+  );
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ dryRun: true }, server);
+  plugin.startBlockWindow(15000);
+  assert(server.calls.events.length === 0, 'no events emitted in dry run');
+  restoreTimers();
+}
+
+// ─── Match statistics ────────────────────────────────────────────────────────
+
+console.log('\n--- Match statistics ---');
+{
+  installMockTimers();
+  const statisticsFile = path.join(os.tmpdir(), `squad-creation-blocker-stats-${process.pid}.jsonl`);
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ statisticsFile, warningThreshold: 1, kickThreshold: 3 }, server);
+
+  setMockNow(1000000);
+  await plugin.handleNewGame({ layer: { name: 'Narva RAAS v1' } });
+  const info = (id, squadID, squadName = 'Custom') => ({ player: { eosID: id, name: id, teamID: 1, squadID }, squadName });
+  await plugin.handleSquadCreated(info('eos1', 1));
+  await plugin.handleSquadCreated(info('eos1', 1));
+  await plugin.handleSquadCreated(info('eos2', 2));
+  server.calls.getSquadsResult = [{ teamID: 2, squadID: 1, squadName: 'Poll', creatorEOSID: 'eos3' }];
+  await plugin.pollSquads();
+
+  setMockNow(1015000);
+  plugin.endBlockWindow();
+  setMockNow(1020000);
+  await plugin.handleSquadCreated(info('eos4', 3, 'Squad 3'));
+  setMockNow(1022000);
+  await plugin.handleSquadCreated(info('eos4', 3, 'ARMOR'));
+  await plugin.handleRoundEnd();
+
+  const summary = plugin.lastMatchStatistics;
+  assert(summary.layer === 'Narva RAAS v1', 'summary names the layer');
+  assert(summary.blockedAttempts.event === 3 && summary.blockedAttempts.poll === 1, 'blocked attempts split by detection source');
+  assert(summary.disbands === 4 && summary.cooldowns === 1, 'disbands and cooldowns counted');
+  assert(summary.topOffenders[0].playerID === 'eos1' && summary.topOffenders[0].attempts === 2, 'top offenders ranked by attempts');
+  assert(summary.firstCustomSquadAfterUnlock === 7, 'first custom squad after unlock measured, default names ignored');
+
+  const lines = fs.readFileSync(statisticsFile, 'utf8').trim().split('\n');
+  assert(JSON.parse(lines[lines.length - 1]).disbands === 4, 'summary appended to the statistics file as a JSON line');
+  fs.unlinkSync(statisticsFile);
+  restoreTimers();
+}
+
+// ─── Squad name reservations ─────────────────────────────────────────────────
+
+console.log('\n--- Squad name reservations ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ enableReservations: true, reservationGracePeriod: 30, playerCommandCooldown: 0 }, server);
+  const chat = (eosID, name, teamID, message) => plugin.handleChatMessage({ chat: 'ChatAll', message, player: { eosID, name, teamID } });
+
+  await chat('eos1', 'Early', 1, '!reserve ARMOR 1');
+  assert(server.calls.warns.some(w => w.steamID === 'eos1' && w.msg.includes('only be reserved while')), 'reservations rejected outside the block window');
+
+  plugin.startBlockWindow(15000);
+  await chat('eos1', 'Tanker', 1, '!reserve ARMOR 1');
+  await chat('eos2', 'Heli', 1, '!reserve HELI');
+  await chat('eos3', 'Sniper', 1, '!reserve armor1');
+  await chat('eos4', 'Enemy', 2, '!reserve ARMOR 1');
+  assert(plugin.reservations.get('1').map(r => r.playerID).join() === 'eos1,eos2', 'team queue keeps reservation order');
+  assert(server.calls.warns.some(w => w.steamID === 'eos3' && w.msg.includes('already reserved by Tanker')), 'near-identical name rejected on the same team');
+  assert(plugin.reservations.get('2').length === 1, 'teams have separate queues');
+
+  server.calls.warns = [];
+  plugin.endBlockWindow();
+  await new Promise(r => realTimers.setTimeout(r, 2));
+  const notified = server.calls.warns.filter(w => w.msg.includes('reserved for you')).map(w => w.steamID);
+  assert(notified.slice(0, 2).join() === 'eos1,eos2', 'reserved players warned in order at unlock');
+
+  server.calls.warns = [];
+  await plugin.handleSquadCreated({ player: { eosID: 'eos9', teamID: 1, squadID: 4 }, squadName: 'Armor 1' });
+  assert(server.calls.executes.includes('AdminDisbandSquad 1 4'), 'impostor squad disbanded during the grace period');
+  assert(server.calls.warns.some(w => w.steamID === 'eos9' && w.msg.includes('reserved for Tanker')), 'impostor told who holds the name');
+
+  server.calls.executes = [];
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 5 }, squadName: 'ARMOR 1' });
+  assert(server.calls.executes.length === 0, 'reserving player can create the squad');
+  assert(plugin.reservations.get('1').length === 1, 'fulfilled reservation removed');
+
+  await plugin.handleSquadCreated({ player: { eosID: 'eos9', teamID: 1, squadID: 6 }, squadName: 'ARMOR 1' });
+  assert(server.calls.executes.length === 0, 'fulfilled name no longer protected');
+
+  plugin.reservationGraceEndTime = Date.now() - 1;
+  await plugin.handleSquadCreated({ player: { eosID: 'eos9', teamID: 1, squadID: 7 }, squadName: 'HELI' });
+  assert(server.calls.executes.length === 0, 'protection ends after the grace period');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ enableReservations: true, playerCommandCooldown: 10 }, server);
+  plugin.startBlockWindow(15000);
+  await plugin.handleChatMessage({ message: '!reserve ARMOR', player: { eosID: 'eos1', name: 'Tanker', teamID: 1 } });
+  await plugin.handleChatMessage({ message: '!reserve HELI', player: { eosID: 'eos1', name: 'Tanker', teamID: 1 } });
+  await plugin.handleChatMessage({ message: '!squadrules', player: { eosID: 'eos1', name: 'Tanker', teamID: 1 } });
+  assert(server.calls.warns.length === 1 && plugin.reservations.get('1').length === 1, '!reserve shares the player command cooldown');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ enableReservations: true, reservationGracePeriod: 30, rateLimitingScope: 'blockingPeriodOnly' }, server);
+  plugin.startBlockWindow(15000);
+  await plugin.handleChatMessage({ message: '!reserve ARMOR 1', player: { eosID: 'eos1', name: 'Tanker', teamID: 1 } });
+  plugin.endBlockWindow();
+  assert(plugin.getPollInterval() === plugin.options.pollInterval, 'squads polled during the grace period');
+
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 4, squadName: 'Armor 1', creatorEOSID: 'eos9' }];
+  await plugin.pollSquads();
+  assert(server.calls.executes.includes('AdminDisbandSquad 1 4'), 'impostor squad missed by the event disbanded by the poll');
+
+  plugin.clearReservations();
+  assert(plugin.getPollInterval() === 0, 'polling stops once reservations are cleared');
+  restoreTimers();
+}
+
+// ─── Scheduled block windows ─────────────────────────────────────────────────
+
+console.log('\n--- Scheduled block windows ---');
+{
+  const { plugin } = makePlugin();
+  const fields = plugin.parseCron('*/15 20-22 * * 5,7');
+  assert(plugin.matchesCron(fields, new Date(2026, 0, 2, 20, 45)), 'cron matches step, range and weekday list');
+  assert(!plugin.matchesCron(fields, new Date(2026, 0, 2, 20, 10)), 'cron rejects minute outside the step');
+  assert(plugin.matchesCron(fields, new Date(2026, 0, 4, 21, 0)), 'weekday 7 means Sunday');
+  assert(!plugin.matchesCron(fields, new Date(2026, 0, 3, 21, 0)), 'cron rejects other weekdays');
+  let threw = false;
+  try { plugin.parseCron('0 25 * * *'); } catch { threw = true; }
+  assert(threw, 'out-of-range cron field rejected');
+}
+{
+  const { plugin } = makePlugin({ strictOptionValidation: false, scheduledWindows: [{ cron: 'bad', duration: 60 }, { after: 0, duration: 60 }] });
+  assert(plugin.optionErrors.some(error => error.message.includes('scheduledWindows[0].cron is invalid')), 'invalid cron expression reported');
+  assert(plugin.scheduledWindows.length === 0, 'invalid scheduled windows fall back to the default');
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ blockDuration: 15, scheduledWindows: [{ after: 0, duration: 120 }, { beforeEnd: 60, duration: 60 }], matchLength: 3600 }, server);
+  const start = realDateNow();
+  setMockNow(start);
+  await plugin.handleNewGame();
+  assert(plugin.isBlocking && plugin.blockEndTime === start + 120000, 'match-relative window extends the start-of-match block');
+  assert(server.calls.events.some(e => e.event === 'SQUAD_BLOCK_WINDOW_STARTED' && e.payload.reason === 'schedule'), 'schedule reason emitted');
+
+  setMockNow(start + 10000);
+  plugin.endBlockWindow('adminLift');
+  plugin.checkScheduledWindows();
+  assert(!plugin.isBlocking, 'lifted scheduled window does not restart');
+
+  setMockNow(start + 3540000);
+  plugin.checkScheduledWindows();
+  assert(plugin.isBlocking && plugin.blockEndTime === start + 3600000, 'window before the round end starts on time');
+  assert(plugin.pollIntervalId !== null, 'polling runs during a scheduled window');
+
+  server.matchTimeout = 1800;
+  setMockNow(start + 1750000);
+  plugin.endBlockWindow();
+  plugin.checkScheduledWindows();
+  assert(plugin.isBlocking && plugin.blockEndTime === start + 1800000, 'server match timeout preferred over matchLength');
+
+  plugin.endBlockWindow();
+  await plugin.handleRoundEnd();
+  plugin.triggeredWindows.clear();
+  plugin.checkScheduledWindows();
+  assert(plugin.isRoundEnding, 'scheduled windows do not replace the round-end block');
+  restoreTimers();
+}
+{
+  const cleared = installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ scheduledWindows: [{ cron: '0 20 * * *', duration: 1800 }] }, server);
+  setMockNow(new Date(2026, 0, 2, 20, 10).getTime());
+  await plugin.mount();
+  assert(plugin.isBlocking && plugin.blockEndTime === new Date(2026, 0, 2, 20, 30).getTime(), 'cron window in progress applied on mount');
+  const intervalId = plugin.scheduleIntervalId;
+  await plugin.unmount();
+  assert(cleared.has(intervalId) && plugin.scheduleIntervalId === null, 'schedule check cleared on unmount');
+
+  setMockNow(new Date(2026, 0, 2, 20, 31).getTime());
+  const { plugin: later } = makePlugin({ scheduledWindows: [{ cron: '0 20 * * *', duration: 1800 }] }, makeMockServer());
+  later.checkScheduledWindows();
+  assert(!later.isBlocking, 'cron window not applied after it ends');
+  restoreTimers();
+}
+
+// ─── Trust scoring ───────────────────────────────────────────────────────────
+
+console.log('\n--- Trust scoring ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const database = makeMockDatabase();
+  database.addTrustRecord({ eosID: 'vet1', trust: 12 });
+  database.addTrustRecord({ eosID: 'new1', trust: 3 });
+  const { plugin } = makePlugin(
+    { enableTrust: true, database: 'sqlite', trustedPlayerLevel: 10, warningThreshold: 1, cooldownDuration: 30, rateLimitingScope: 'blockingPeriodOnly' },
+    server,
+    { sqlite: database }
+  );
+  await plugin.prepareToMount();
+  plugin.startBlockWindow(60000);
+
+  await plugin.handleSquadCreated({ player: { eosID: 'new1', teamID: 1, squadID: 1 }, squadName: 'Armor' });
+  assert(server.calls.executes.includes('AdminDisbandSquad 1 1'), 'untrusted player still blocked');
+
+  server.calls.executes = [];
+  await plugin.handleSquadCreated({ player: { eosID: 'vet1', teamID: 1, squadID: 2 }, squadName: 'Armor' });
+  assert(server.calls.executes.length === 0, 'trusted player may create a squad during the block window');
+  assert(plugin.knownSquads.has('1-2'), 'allowed squad is not picked up again by polling');
+
+  await plugin.handleSquadCreated({ player: { eosID: 'vet1', teamID: 1, squadID: 3 }, squadName: 'Armor' });
+  assert(server.calls.executes.length === 0 && server.calls.warns.some(w => w.steamID === 'vet1' && w.msg.includes('Stop spamming')), 'further squads count toward the rate limit');
+  await plugin.handleSquadCreated({ player: { eosID: 'vet1', teamID: 1, squadID: 4 }, squadName: 'Armor' });
+  assert(plugin.isPlayerInCooldown('vet1') && server.calls.executes.includes('AdminDisbandSquad 1 4'), 'spamming trusted player gets a cooldown and is disbanded');
+  assert(database.trustRecords[0].trust === 7 && database.trustRecords[0].violations === 1, 'cooldown costs trust');
+
+  await plugin.handleRoundEnd();
+  server.calls.executes = [];
+  await plugin.handleSquadCreated({ player: { eosID: 'vet1', teamID: 2, squadID: 5 }, squadName: 'Armor' });
+  assert(server.calls.executes.includes('AdminDisbandSquad 2 5'), 'trust does not bypass the round-end block');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const database = makeMockDatabase();
+  database.addTrustRecord({ eosID: 'vet1', trust: 4 });
+  const { plugin } = makePlugin(
+    { enableTrust: true, database: 'sqlite', trustPerCleanMatch: 1, trustPerHourPlayed: 2, trustMinimumMatchTime: 600 },
+    server,
+    { sqlite: database }
+  );
+  await plugin.prepareToMount();
+  const start = realDateNow();
+  setMockNow(start);
+  await plugin.handleNewGame();
+  server.players = [{ eosID: 'vet1' }, { eosID: 'late1' }, { eosID: 'spam1' }];
+  setMockNow(start + 1500000);
+  plugin.handlePlayerConnected({ player: { eosID: 'late1' } });
+  plugin.recordOffenderStatistic('spam1');
+
+  setMockNow(start + 1800000);
+  await plugin.handleRoundEnd();
+  const record = id => database.trustRecords.find(r => r.eosID === id);
+  assert(record('vet1').trust === 6 && record('vet1').cleanMatches === 1 && record('vet1').secondsPlayed === 1800, 'clean match and time played earn trust');
+  assert(record('late1').cleanMatches === 0 && record('late1').secondsPlayed === 300, 'short sessions earn time but no clean match');
+  assert(record('spam1').cleanMatches === 0 && record('spam1').trust === 1, 'blocked attempts forfeit the clean match bonus');
+  restoreTimers();
+}
+{
+  const { plugin } = makePlugin({ enableTrust: true });
+  assert(await plugin.getTrust('vet1') === 0, 'trust disabled without a database connector');
+}
+
+// ─── Reloading options ───────────────────────────────────────────────────────
+
+console.log('\n--- Reloading options ---');
+{
+  const cleared = installMockTimers();
+  const server = makeMockServer();
+  const optionsFile = path.join(os.tmpdir(), `scb-options-${process.pid}.json`);
+  const { plugin } = makePlugin({ optionsFile, watchOptionsFile: false, blockDuration: 60, rateLimitingScope: 'blockingPeriodOnly' }, server);
+  const start = realDateNow();
+  setMockNow(start);
+
+  fs.writeFileSync(optionsFile, JSON.stringify({ blockDuration: 90, warningThreshold: 2 }));
+  await plugin.mount();
+  assert(plugin.options.blockDuration === 90 && plugin.blockDurationMs === 90000, 'options file applied on mount');
+  assert(plugin.globalOptions.warningThreshold === 2, 'reloaded options become the new global options');
+
+  plugin.startBlockWindow(plugin.blockDurationMs);
+  plugin.updatePolling();
+  plugin.playerCooldowns.set('steam1', start + 30000);
+  const pollIntervalId = plugin.pollIntervalId;
+  fs.writeFileSync(optionsFile, JSON.stringify({ blockDuration: 30, squadWhitelist: ['Armor'], pollInterval: 2 }));
+  await plugin.handleChatMessage({ chat: 'ChatAdmin', message: '!squadblock reload', player: { eosID: 'admin1' } });
+  assert(server.calls.warns.some(w => w.steamID === 'admin1' && w.msg.includes('Reloaded 3 option overrides')), 'reload command replies with the result');
+  assert(plugin.blockDurationMs === 30000 && plugin.options.warningThreshold === 3, 'overrides not in the file fall back to the config');
+  assert(plugin.isWhitelistedSquadName('armor'), 'derived whitelist patterns recompiled');
+  assert(plugin.isBlocking && plugin.blockEndTime === start + 90000, 'current block window keeps its end time');
+  assert(plugin.isPlayerInCooldown('steam1'), 'in-flight cooldowns kept');
+  assert(cleared.has(pollIntervalId) && plugin.pollIntervalId !== null, 'polling restarted with the new interval');
+
+  fs.writeFileSync(optionsFile, JSON.stringify({ enableRateLimiting: false }));
+  await plugin.reloadOptions();
+  assert(plugin.pollIntervalId === null, 'polling stopped when rate limiting is disabled');
+  assert(!plugin.isPlayerInCooldown('steam1'), 'cooldowns cleared when rate limiting is disabled');
+
+  fs.writeFileSync(optionsFile, JSON.stringify({ warningThreshold: '5', blockDurtion: 10, database: 'other' }));
+  const reply = await plugin.reloadOptions();
+  assert(reply.includes('warningThreshold must be a number') && reply.includes('blockDurtion cannot be set'), 'invalid options reported');
+  assert(reply.includes('database cannot be set'), 'connectors cannot be reloaded');
+  assert(plugin.options.enableRateLimiting === false, 'invalid options file leaves current options in place');
+
+  fs.writeFileSync(optionsFile, '{ not json');
+  assert((await plugin.reloadOptions()).startsWith('Could not read options'), 'malformed file reported');
+  await plugin.unmount();
+  fs.unlinkSync(optionsFile);
+  restoreTimers();
+}
+
+// ─── Options validation ──────────────────────────────────────────────────────
+
+console.log('\n--- Options validation ---');
+{
+  const messages = options => makePlugin(options).plugin.optionErrors.map(error => error.message).join(' ');
+  assert(messages({}) === '', 'default options are valid');
+  assert(messages({ rateLimitingScope: 'entirematch' }).includes('rateLimitingScope must be one of "blockingPeriodOnly", "entireMatch", got "entirematch"'), 'enum typo reported');
+  assert(messages({ pollInterval: 0 }).includes('pollInterval must be at least 0.5'), 'zero poll interval reported');
+  assert(messages({ squadWhitelist: 'Alpha' }).includes('squadWhitelist must be an array'), 'non-array whitelist reported');
+  assert(messages({ squadWhitelist: ['Alpha', 3] }).includes('squadWhitelist[1] must be a string'), 'whitelist entries checked');
+  assert(messages({ warningThreshold: 1.5 }).includes('warningThreshold must be a whole number'), 'integer options checked');
+  assert(messages({ warningThreshold: 20, kickThreshold: 10 }).includes('warningThreshold (20) must be lower than kickThreshold (10)'), 'threshold order checked');
+  assert(messages({ warningThreshold: 20, kickThreshold: 0 }) === '', 'threshold order ignored when kicking is disabled');
+  assert(messages({ blockDurtion: 30 }).includes('Unknown option "blockDurtion"'), 'unknown option names reported');
+  assert(messages({ plugin: 'SquadCreationBlocker', enabled: true }) === '', 'SquadJS config keys allowed');
+  assert(messages({ lightProfile: { warningThresold: 1 } }).includes('lightProfile has unknown option "warningThresold"'), 'profile keys checked');
+  assert(messages({ layerProfiles: [{ gamemodes: ['Seed'], rateLimitMode: 'bucket' }] }).includes('layerProfiles[0].rateLimitMode must be one of'), 'layer profile values checked');
+}
+{
+  const messages = options => makePlugin(options).plugin.optionErrors.map(error => error.message).join(' ');
+  assert(messages({ nameFilterRules: [{ pattern: '(' }] }).includes('nameFilterRules[0].pattern is invalid'), 'invalid name filter regex reported');
+  assert(messages({ nameFilterRules: [{ keywords: ['admin'], action: 'ban' }] }).includes('nameFilterRules[0].action must be one of'), 'name filter action checked');
+  assert(messages({ nameFilterRules: [{ message: 'x' }] }).includes('nameFilterRules[0] needs a pattern or keywords'), 'name filter rule needs something to match');
+  assert(messages({ squadWhitelist: ['/(/'] }).includes('squadWhitelist is invalid'), 'invalid whitelist regex reported');
+  assert(messages({ exemptions: [{ names: 'CMD' }] }).includes('exemptions[0].names must be an array of strings'), 'exemption names type checked');
+  assert(messages({ exemptions: [{ player: ['x'] }] }).includes('exemptions[0] has unknown field "player"'), 'exemption fields checked');
+  assert(messages({ exemptions: [{}] }).includes('exemptions[0] needs names, playerIDs or permissions'), 'empty exemption rule rejected');
+  assert(messages({ exemptions: [{ names: [] }] }).includes('exemptions[0] needs names, playerIDs or permissions'), 'exemption rule with only empty lists rejected');
+  assert(messages({ layerProfiles: [{ layers: ['('] }] }).includes('layerProfiles[0].layers is invalid'), 'invalid layer regex reported');
+  assert(messages({ squadTags: [{ pattern: '^INF' }] }).includes('squadTags[0] needs a tag'), 'squad tags need a tag');
+  assert(messages({ scheduledWindows: [{ cron: '0 25 * * *', duration: 60 }] }).includes('scheduledWindows[0].cron is invalid'), 'cron syntax checked');
+  assert(messages({ scheduledWindows: [{ after: 0 }] }).includes('scheduledWindows[0].duration must be a positive number'), 'window duration required');
+}
+{
+  let error = null;
+  let plugin;
+  try {
+    ({ plugin } = makePlugin({ strictOptionValidation: false, nameFilterRules: [{ pattern: '(' }], squadWhitelist: ['/(/'], exemptions: [{ names: 'CMD' }] }));
+  } catch (err) { error = err; }
+  assert(!error && plugin.nameFilterRules.length === 0 && plugin.exemptions.length === 0, 'invalid nested values fall back to defaults instead of throwing');
+}
+{
+  installMockTimers();
+  const { plugin } = makePlugin({ rateLimitingScope: 'entirematch', squadWhitelist: 'Alpha' });
+  assert(plugin.options.rateLimitingScope === 'blockingPeriodOnly' && Array.isArray(plugin.squadWhitelistPatterns), 'invalid options replaced before they are used');
+  let error = null;
+  try { await plugin.mount(); } catch (err) { error = err; }
+  assert(error && error.message.includes('rateLimitingScope') && error.message.includes('squadWhitelist'), 'strict mode fails mount with every error');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ strictOptionValidation: false, pollInterval: -1, warningThreshold: 30 }, server);
+  const logs = [];
+  plugin.verbose = (level, message) => logs.push(message);
+  await plugin.mount();
+  assert(plugin.options.pollInterval === 1 && plugin.options.warningThreshold === 3 && plugin.options.kickThreshold === 20, 'lenient mode falls back to defaults');
+  assert(logs.some(message => message.includes('pollInterval must be at least 0.5')), 'lenient mode logs a warning');
+  await plugin.unmount();
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const optionsFile = path.join(os.tmpdir(), `scb-lenient-${process.pid}.json`);
+  fs.writeFileSync(optionsFile, JSON.stringify({ blockDuration: 45 }));
+  const { plugin } = makePlugin({ strictOptionValidation: false, pollInterval: 0.1, optionsFile, watchOptionsFile: false });
+  const reply = await plugin.reloadOptions();
+  assert(reply.startsWith('Reloaded 1 option override'), 'invalid config options do not block later reloads');
+  assert(plugin.options.pollInterval === 1 && plugin.options.blockDuration === 45, 'reload keeps the default for the invalid config option');
+  fs.unlinkSync(optionsFile);
+  restoreTimers();
+}
+
+// ─── Player commands ─────────────────────────────────────────────────────────
+
+console.log('\n--- Player commands ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ squadWhitelist: ['CMD', 'LOGI', 'HELI', 'ARMOR', 'MORTAR', 'FOB'], warningThreshold: 3, kickThreshold: 10, playerCommandCooldown: 10 }, server);
+  const start = realDateNow();
+  setMockNow(start);
+  const chat = (eosID, message) => plugin.handleChatMessage({ chat: 'ChatAll', message, player: { eosID } });
+  const lastReply = eosID => server.calls.warns.filter(w => w.steamID === eosID).at(-1)?.msg;
+
+  plugin.startBlockWindow(45000);
+  await chat('p1', '!unlock');
+  assert(lastReply('p1').includes('blocked for 45 more seconds'), '!unlock shows the remaining block time');
+  assert(lastReply('p1').includes('Default names') && lastReply('p1').includes('CMD, LOGI, HELI, ARMOR, MORTAR and 1 more'), '!unlock shows the name policy');
+
+  plugin.playerAttempts.set('p2', 4);
+  plugin.playerCooldowns.set('p2', start + 25000);
+  await chat('p2', '!cooldown');
+  assert(lastReply('p2') === 'You are on cooldown for 25 more seconds. Blocked attempts: 4 (cooldown after 3, kick at 10).', '!cooldown shows the cooldown and attempts');
+
+  await chat('p3', '!SquadRules');
+  assert(lastReply('p3').includes('blocked for 15s after a game starts') && lastReply('p3').includes('earns a 10s cooldown'), '!squadrules summarizes the rules');
+
+  const replies = server.calls.warns.length;
+  setMockNow(start + 5000);
+  await chat('p1', '!cooldown');
+  assert(server.calls.warns.length === replies, 'commands within the cooldown are ignored');
+  setMockNow(start + 10000);
+  await chat('p1', '!cooldown');
+  assert(lastReply('p1').startsWith('You are not on cooldown.'), 'commands allowed again after the cooldown');
+  restoreTimers();
+}
+{
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ enablePlayerCommands: false }, server);
+  await plugin.handleChatMessage({ chat: 'ChatAll', message: '!unlock', player: { eosID: 'p1' } });
+  assert(server.calls.warns.length === 0, 'player commands can be disabled');
+}
+
+// ─── Duplicate squad names ───────────────────────────────────────────────────
+
+console.log('\n--- Duplicate squad names ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ preventDuplicateSquadNames: true, repeatableSquadNames: ['INF'], rateLimitingScope: 'entireMatch' }, server);
+  plugin.phase = 'live';
+
+  assert(plugin.getDuplicateNameKey(' Armor-2! ') === plugin.getDuplicateNameKey('ARMOR'), 'case, whitespace, punctuation and trailing numbers ignored');
+  assert(plugin.getDuplicateNameKey('2nd Armor') !== plugin.getDuplicateNameKey('Armor'), 'leading numbers kept');
+  assert(plugin.shouldPollContinuously(), 'duplicate names are also checked by polling');
+
+  server.calls.getSquadsResult = [
+    { teamID: 1, squadID: 1, squadName: 'ARMOR' },
+    { teamID: 1, squadID: 2, squadName: 'INF' },
+    { teamID: 1, squadID: 3, squadName: 'Squad 3' },
+    { teamID: 2, squadID: 1, squadName: 'LOGI' }
+  ];
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 4 }, squadName: 'armor 2' });
+  assert(server.calls.executes.includes('AdminDisbandSquad 1 4'), 'near-duplicate on the same team disbanded');
+  assert(server.calls.warns.some(w => w.steamID === 'eos1' && w.msg.includes('already has a squad named "ARMOR"')), 'player told which squad has the name');
+  assert(plugin.playerAttempts.get('eos1') === 1, 'duplicate counts toward the rate limit');
+
+  server.calls.executes = [];
+  await plugin.handleSquadCreated({ player: { eosID: 'eos2', teamID: 1, squadID: 5 }, squadName: 'INF 2' });
+  await plugin.handleSquadCreated({ player: { eosID: 'eos3', teamID: 1, squadID: 6 }, squadName: 'Squad 6' });
+  await plugin.handleSquadCreated({ player: { eosID: 'eos4', teamID: 1, squadID: 7 }, squadName: 'LOGI' });
+  assert(server.calls.executes.length === 0, 'repeatable names, default names and other teams\' names allowed');
+
+  server.calls.executes = [];
+  for (const squad of server.calls.getSquadsResult) plugin.trackSquad(plugin.getPolledSquadInfo(squad));
+  server.calls.getSquadsResult = [
+    { teamID: 1, squadID: 1, squadName: 'ARMOR' },
+    { teamID: 1, squadID: 8, squadName: 'Armor.', creatorEOSID: 'eos5' },
+    { teamID: 2, squadID: 9, squadName: 'ARMOR', creatorEOSID: 'eos6' }
+  ];
+  await plugin.pollSquads();
+  assert(server.calls.executes.length === 1 && server.calls.executes[0] === 'AdminDisbandSquad 1 8', 'polling disbands duplicates missed by events');
+  restoreTimers();
+}
+
+// ─── Message templates ───────────────────────────────────────────────────────
+
+console.log('\n--- Message templates ---');
+{
+  const server = makeMockServer();
+  server.players = [{ eosID: 'eos-de', steamID: '76561198000000001', name: 'Hans' }];
+  const { plugin } = makePlugin({
+    locale: 'en',
+    messages: {
+      en: { cooldownExpired: 'You may create squads again, {playerName}.' },
+      de: {
+        cooldownReminder: 'Squad-Cooldown: noch {timeLeft} {timeLeft|Sekunde|Sekunden}.',
+        cooldownExpired: 'Du darfst wieder Squads erstellen, {playerName}.'
+      }
+    },
+    playerLocales: { '76561198000000001': 'de' }
+  }, server);
+
+  assert(plugin.formatMessage('cooldownReminder', { timeLeft: 1 }) === 'Squad creation cooldown: 1 second remaining.', 'default English singular');
+  assert(plugin.formatMessage('cooldownReminder', { timeLeft: 5 }) === 'Squad creation cooldown: 5 seconds remaining.', 'default English plural');
+  assert(plugin.formatMessage('cooldownReminder', { timeLeft: 1 }, 'eos-de') === 'Squad-Cooldown: noch 1 Sekunde.', 'player locale found by any of their IDs');
+  assert(plugin.formatMessage('cooldownExpired', {}, 'eos-de') === 'Du darfst wieder Squads erstellen, Hans.', 'playerName filled in');
+  assert(plugin.formatMessage('cooldownExpired', {}, 'other') === 'You may create squads again, .', 'server locale override used for other players');
+  assert(plugin.formatMessage('unlocked', {}, 'eos-de') === 'Custom squad creation is now unlocked!', 'missing translations fall back to the default text');
+  assert(plugin.formatMessage('spamWarning', {}) === 'Warning: Stop spamming squad creation! {remaining} more {remaining|attempt|attempts} before cooldown.', 'unknown values leave placeholders untouched');
+}
+{
+  const { plugin } = makePlugin({
+    messages: {
+      fr: { cooldownReminder: 'Encore {timeLeft} {timeLeft|seconde|secondes}.' },
+      ru: { cooldownReminder: 'Осталось {timeLeft} {timeLeft|one:секунда|few:секунды|many:секунд|other:секунды}.' }
+    },
+    playerLocales: { eosFR: 'fr', eosRU: 'ru', eosPL: 'pl' }
+  });
+  const reminder = (playerID, timeLeft) => plugin.formatMessage('cooldownReminder', { timeLeft }, playerID);
+  assert(reminder('eosFR', 0) === 'Encore 0 seconde.' && reminder('eosFR', 2) === 'Encore 2 secondes.', 'French plural rules treat 0 as singular');
+  assert(reminder('eosRU', 1) === 'Осталось 1 секунда.' && reminder('eosRU', 21) === 'Осталось 21 секунда.', 'Russian "one" form');
+  assert(reminder('eosRU', 3) === 'Осталось 3 секунды.' && reminder('eosRU', 5) === 'Осталось 5 секунд.', 'Russian "few" and "many" forms');
+  assert(reminder('eosRU', 1.5) === 'Осталось 1.5 секунды.', 'named forms fall back to "other"');
+  assert(reminder('eosPL', 21) === 'Squad creation cooldown: 21 seconds remaining.', 'English fallback text uses English plural rules');
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ locale: 'de', messages: { de: { countdown: 'Noch {timeLeft}s bis zur Freigabe.', kickReason: 'Squad-Spam' } }, kickThreshold: 1, warningThreshold: 0 }, server);
+  plugin.scheduleBroadcasts(20000);
+  assert(plugin.formatMessage('countdown', { timeLeft: 20 }) === 'Noch 20s bis zur Freigabe.', 'server locale used for broadcasts');
+  await plugin.processRateLimit('steam1');
+  assert(server.calls.executes.includes('AdminKick "steam1" Squad-Spam'), 'kick reason is templated');
+  restoreTimers();
+}
+{
+  const messages = options => makePlugin(options).plugin.optionErrors.map(error => error.message).join(' ');
+  assert(messages({ messages: { de: { unlockd: 'x' } } }).includes('messages.de has unknown message "unlockd"'), 'unknown message keys reported');
+  assert(messages({ messages: { de: { unlocked: 5 } } }).includes('messages.de.unlocked must be a string'), 'non-string templates reported');
+}
+
+// ─── Countdown schedule ──────────────────────────────────────────────────────
+
+console.log('\n--- Countdown schedule ---');
+{
+  const { plugin } = makePlugin();
+  assert(plugin.getCountdownTimes(15).join() === '10', 'default schedule keeps multiples of 10 seconds');
+  const { plugin: custom } = makePlugin({ countdownOffsets: [12, 30], countdownInterval: 5, finalCountdown: 3 });
+  assert(custom.getCountdownTimes(15).join() === '15,12,10,5,3,2,1', 'offsets, interval and final countdown combined');
+  const { plugin: finalOnly } = makePlugin({ countdownInterval: 0, finalCountdown: 3 });
+  assert(finalOnly.getCountdownTimes(15).join() === '3,2,1', 'interval can be disabled');
+}
+{
+  const timers = [];
+  let id = 0;
+  global.setTimeout = (fn, ms) => { timers.push({ fn, ms }); return ++id; };
+  global.clearTimeout = () => {};
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ broadcastMode: true, countdownInterval: 0, countdownOffsets: [10], finalCountdown: 2 }, server);
+  plugin.startBlockWindow(15000);
+  const countdownTimers = timers.slice(0, -1);
+  assert(countdownTimers.map(t => t.ms).join() === '5000,13000,14000', 'countdown timers scheduled before unlock');
+  for (const timer of countdownTimers) await timer.fn();
+  assert(server.calls.broadcasts[0].includes('unlocks in 10s') && server.calls.broadcasts[1] === 'Custom squad names unlock in 2...', 'final seconds use the short countdown message');
+  assert(plugin.broadcastTimeouts.length === 3, 'countdown timers tracked for clearBroadcasts');
+  restoreTimers();
+}
+{
+  const timers = [];
+  let id = 0;
+  global.setTimeout = (fn, ms) => { timers.push({ fn, ms }); return ++id; };
+  global.clearTimeout = () => {};
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ broadcastMode: true, countdownRecipients: 'attempted', enableRateLimiting: false }, server);
+  plugin.startBlockWindow(20000);
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 1 }, squadName: 'Custom' });
+  await timers[0].fn();
+  assert(server.calls.broadcasts.length === 0, 'attempted mode does not broadcast the countdown');
+  assert(server.calls.warns.filter(w => w.msg.includes('unlocks in 20s')).map(w => w.steamID).join() === 'eos1', 'countdown warned to players who attempted');
+  plugin.endBlockWindow();
+  assert(plugin.countdownPlayers.size === 0, 'recipients cleared when the window ends');
+  restoreTimers();
+}
+
+// ─── Squad tracking and adaptive polling ─────────────────────────────────────
+
+console.log('\n--- Squad tracking and adaptive polling ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ rateLimitingScope: 'entireMatch' }, server);
+  plugin.playerCooldowns.set('eos2', Date.now() + 60000);
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 2, squadName: 'Armor', creatorEOSID: 'eos1' }];
+  await plugin.initializeKnownSquads();
+  assert(plugin.isKnownSquad({ teamID: 1, squadID: 2, playerID: 'eos1', squadName: 'Armor' }), 'squads tracked by team, ID, creator and name');
+
+  server.calls.getSquadsResult = [];
+  await plugin.pollSquads();
+  assert(plugin.knownSquads.size === 0, 'vanished squads pruned on poll');
+
+  plugin.trackSquad({ teamID: 1, squadID: 2, playerID: 'eos1', squadName: 'Armor' });
+  server.calls.getSquadsResult = [{ teamID: 1, squadID: 2, squadName: 'Armor', creatorEOSID: 'eos2' }];
+  await plugin.pollSquads();
+  assert(server.calls.executes.includes('AdminDisbandSquad 1 2'), 'reused squad ID with a new creator is checked');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const start = realDateNow();
+  setMockNow(start);
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ rateLimitingScope: 'entireMatch', pollInterval: 1, fastPollDuration: 10 }, server);
+  plugin.updatePolling();
+  assert(plugin.pollIntervalId === null, 'polling paused while nobody is in cooldown');
+
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 1 }, squadName: 'Armor' });
+  assert(plugin.pollIntervalId !== null && plugin.pollIntervalSeconds === 1, 'fast polling after SQUAD_CREATED');
+
+  setMockNow(start + 11000);
+  await plugin.pollSquads();
+  assert(plugin.pollIntervalId === null, 'polling paused again once the burst is over');
+
+  plugin.playerCooldowns.set('eos1', start + 60000);
+  plugin.updatePolling();
+  assert(plugin.pollIntervalSeconds === 1, 'fast polling while a player is in cooldown');
+
+  const { plugin: filtered } = makePlugin({ nameFilterRules: [{ keywords: ['bad'] }], idlePollInterval: 5 });
+  filtered.updatePolling();
+  assert(filtered.pollIntervalSeconds === 5, 'slow polling when only name rules need it');
+  Date.now = realDateNow;
+  restoreTimers();
+}
+
+// ─── RCON queue ──────────────────────────────────────────────────────────────
+
+console.log('\n--- RCON queue ---');
+{
+  const server = makeMockServer();
+  const order = [];
+  server.rcon.warn = async (steamID, msg) => order.push(`warn ${msg}`);
+  server.rcon.execute = async (cmd) => order.push(cmd.split(' ')[0]);
+  const { plugin } = makePlugin({}, server);
+  plugin.isRconQueueRunning = true;
+  const sent = [
+    plugin.warnPlayer('steam1', 'reminder', { reminder: true }),
+    plugin.warnPlayer('steam1', 'warning'),
+    plugin.sendCommand('AdminKick steam2 spam'),
+    plugin.sendCommand('AdminDisbandSquad 1 2')
+  ];
+  plugin.isRconQueueRunning = false;
+  await plugin.processRconQueue();
+  await Promise.all(sent);
+  assert(order.join() === 'AdminDisbandSquad,AdminKick,warn warning,warn reminder', 'disband, kick, warn and reminder sent in priority order');
+}
+{
+  const waits = [];
+  global.setTimeout = (fn, ms) => { waits.push(ms); fn(); return 0; };
+  setMockNow(1000);
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ rconCommandsPerSecond: 2 }, server);
+  await Promise.all([plugin.sendCommand('AdminDisbandSquad 1 1'), plugin.sendCommand('AdminDisbandSquad 1 2')]);
+  assert(server.calls.executes.length === 2, 'throttled commands are all sent');
+  assert(waits.join() === '500', 'second command waits for the rate limit');
+  Date.now = realDateNow;
+  restoreTimers();
+}
+{
+  setMockNow(1000);
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ warnCoalesceWindow: 3 }, server);
+  await plugin.warnPlayer('steam1', 'Stop');
+  await plugin.warnPlayer('steam1', 'Stop');
+  await plugin.warnPlayer('steam1', 'Other');
+  await plugin.warnPlayer('steam2', 'Stop');
+  assert(server.calls.warns.length === 3, 'identical warn to the same player coalesced');
+  setMockNow(4000);
+  await plugin.warnPlayer('steam1', 'Stop');
+  assert(server.calls.warns.length === 4, 'warn sent again after the coalesce window');
+  Date.now = realDateNow;
+}
+{
+  setMockNow(1000);
+  const server = makeMockServer();
+  const { plugin } = makePlugin({}, server);
+  plugin.isRconQueueRunning = true;
+  const ended = plugin.warnPlayer('steam1', 'ended', { reminder: true, isCurrent: () => false });
+  const late = plugin.warnPlayer('steam1', 'late', { reminder: true });
+  const warning = plugin.warnPlayer('steam1', 'warning');
+  setMockNow(2500);
+  plugin.isRconQueueRunning = false;
+  await plugin.processRconQueue();
+  assert(await ended === false && await late === false, 'stale reminders resolve without sending');
+  await warning;
+  assert(server.calls.warns.map(w => w.msg).join() === 'warning', 'only the warning is sent');
+
+  plugin.isRconQueueRunning = true;
+  plugin.phase = 'blocked';
+  const countdown = plugin.sendCountdown(1);
+  setMockNow(4000);
+  plugin.isRconQueueRunning = false;
+  await plugin.processRconQueue();
+  await countdown;
+  assert(server.calls.broadcasts.length === 1, 'delayed countdown still sent');
+
+  plugin.isRconQueueRunning = true;
+  const endedCountdown = plugin.sendCountdown(1);
+  plugin.phase = 'live';
+  plugin.isRconQueueRunning = false;
+  await plugin.processRconQueue();
+  await endedCountdown;
+  assert(server.calls.broadcasts.length === 1, 'countdown dropped once the window has ended');
+
+  plugin.isRconQueueRunning = true;
+  const pending = plugin.sendCommand('AdminDisbandSquad 1 1');
+  await plugin.unmount();
+  assert(await pending === false && plugin.rconQueue.length === 0, 'unmount drops queued commands');
+  Date.now = realDateNow;
+}
+
+// ─── Phases ──────────────────────────────────────────────────────────────────
+
+console.log('\n--- Phases ---');
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ blockDuration: 60 }, server);
+  assert(plugin.getPhaseState().phase === 'warmup' && !plugin.isBlockingActive(), 'starts in warmup with custom names allowed');
+
+  await plugin.handleNewGame();
+  const state = plugin.getPhaseState();
+  assert(state.phase === 'blocked' && state.endTime && state.policy.blockCustomNames, 'NEW_GAME enters the blocked phase');
+  assert(server.calls.events.some(e => e.event === 'SQUAD_CREATION_PHASE_CHANGED' && e.payload.previousPhase === 'warmup' && e.payload.phase === 'blocked'), 'phase change emitted');
+
+  plugin.endBlockWindow();
+  assert(plugin.phase === 'live', 'block window timer leads to live');
+  await plugin.handleRoundEnd();
+  assert(plugin.phase === 'roundEnding' && plugin.isBlocking && plugin.getPhaseState().endTime === null, 'ROUND_ENDED blocks until the next game by default');
+  await plugin.handleNewGame();
+  assert(plugin.phase === 'blocked', 'next NEW_GAME starts a new block window');
+  restoreTimers();
+}
+{
+  const timers = [];
+  let id = 0;
+  global.setTimeout = (fn, ms) => { timers.push({ fn, ms }); return ++id; };
+  global.clearTimeout = () => {};
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ phasePolicies: { roundEnding: { duration: 30 } } }, server);
+  plugin.phase = 'live';
+  await plugin.handleRoundEnd();
+  assert(timers.at(-1).ms === 30000 && plugin.getBlockStatus().includes('30 more seconds'), 'round-end block with a duration has an end time');
+  timers.at(-1).fn();
+  assert(plugin.phase === 'warmup' && server.calls.broadcasts.includes('Custom squad creation is now unlocked!'), 'round-end block expires into warmup');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({
+    enableRateLimiting: false,
+    nameFilterRules: [{ keywords: ['bad'] }],
+    phasePolicies: { warmup: { blockCustomNames: true }, blocked: { blockDefaultNames: true }, live: { polling: false } }
+  }, server);
+  await plugin.handleSquadCreated({ player: { eosID: 'eos1', teamID: 1, squadID: 1 }, squadName: 'Armor' });
+  assert(server.calls.executes.includes('AdminDisbandSquad 1 1'), 'warmup policy can block custom names');
+  assert(server.calls.warns.some(w => w.msg === 'Custom squads are not allowed until the match starts.'), 'phase message sent');
+  assert(server.calls.events.some(e => e.event === 'SQUAD_CREATION_BLOCKED' && e.payload.reason === 'warmup'), 'block reason names the phase');
+
+  plugin.phase = 'blocked';
+  await plugin.handleSquadCreated({ player: { eosID: 'eos2', teamID: 1, squadID: 2 }, squadName: 'Squad 2' });
+  assert(server.calls.executes.includes('AdminDisbandSquad 1 2'), 'blocked policy can block default names');
+
+  plugin.phase = 'live';
+  plugin.updatePolling();
+  assert(plugin.getPollInterval() === 0 && plugin.pollIntervalId === null, 'live policy can turn polling off');
+  restoreTimers();
+}
+{
+  installMockTimers();
+  const server = makeMockServer();
+  const { plugin } = makePlugin({ blockDuration: 60 }, server);
+  plugin.phase = 'live';
+  assert((await plugin.executeAdminCommand('phase', ['roundending'])).startsWith('Phase: roundEnding'), 'admin can force a phase');
+  assert(plugin.isRoundEnding, 'forced phase applied');
+  assert((await plugin.executeAdminCommand('phase', ['live'])).includes('Custom names allowed'), 'admin can unlock into a phase');
+  assert(plugin.phase === 'live' && !plugin.isBlocking, 'forced phase replaces the round-end block');
+  assert((await plugin.executeAdminCommand('phase', [])).startsWith('Phase: live for'), 'phase subcommand reports the state');
+  assert((await plugin.executeAdminCommand('phase', ['lobby'])).startsWith('Unknown phase "lobby"'), 'unknown phases rejected');
+  restoreTimers();
+}
+{
+  const messages = options => makePlugin(options).plugin.optionErrors.map(error => error.message).join(' ');
+  assert(messages({ phasePolicies: { lobby: {} } }).includes('phasePolicies has unknown phase "lobby"'), 'unknown phase reported');
+  assert(messages({ phasePolicies: { live: { polling: 'no' } } }).includes('phasePolicies.live.polling must be a boolean'), 'wrong field type reported');
+  assert(messages({ phasePolicies: { live: { duration: 5 } } }).includes('phasePolicies.live has unknown field "duration"'), 'duration only allowed at round end');
+  assert(messages({ phasePolicies: { live: { message: 'nope' } } }).includes('phasePolicies.live.message has unknown message "nope"'), 'unknown message key reported');
+  assert(messages({ phasePolicies: { dormant: { blockCustomNames: true } } }).includes('phasePolicies.dormant cannot be changed'), 'dormant policy cannot be overridden');
+  assert(messages({ phasePolicies: { dormant: {} } }) === '', 'empty dormant policy accepted');
+}
+
+// ─── Optional connectors ─────────────────────────────────────────────────────
+
+console.log('\n--- Optional connectors ---');
+{
+  const { plugin } = makePlugin({ enableOffenderHistory: true, enableTrust: true, channelID: '123' });
+  assert(plugin.optionErrors.length === 0, 'config without database or discordClient loads');
+  await plugin.prepareToMount();
+  assert(plugin.database === null && plugin.discordClient === null, 'no connectors resolved when not named');
+  assert(!plugin.isOffenderHistoryEnabled() && !plugin.isTrustEnabled(), 'offender history and trust stay off without a database');
+  await plugin.logToDiscord('Test', []);
+}
+{
+  const logs = [];
+  const { plugin } = makePlugin({ enableOffenderHistory: true, database: 'mysql' }, null, {});
+  plugin.verbose = (level, message) => logs.push(message);
+  await plugin.prepareToMount();
+  assert(plugin.database === null && !plugin.isOffenderHistoryEnabled(), 'missing connector leaves offender history off');
+  assert(logs.some(message => message.includes('Connector "mysql"')), 'missing connector is logged');
+}
+{
+  const database = makeMockDatabase();
+  const discord = makeMockDiscordClient();
+  const { plugin } = makePlugin({ enableOffenderHistory: true, database: 'sqlite', discordClient: 'discord', channelID: '123' }, null, { sqlite: database, discord });
+  await plugin.prepareToMount();
+  assert(plugin.database === database && plugin.discordClient === discord, 'named connectors resolved at prepareToMount');
+  assert(plugin.isOffenderHistoryEnabled() && plugin.discordChannel?.id === '123', 'offender history and audit log enabled');
+}
+
 // ─── Summary ─────────────────────────────────────────────────────────────────
 
 console.log(`\n${passes} passed, ${failures} failed`);